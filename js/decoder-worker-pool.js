@@ -0,0 +1,102 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+const DEFAULT_MAX_WORKERS = 4;
+
+/**
+ * DecoderWorkerPool
+ * Farms decode requests out to a small pool of Web Workers so that decompressing geometry doesn't block the main
+ * thread. Workers are spun up lazily as requests pile up. Every message posted to a worker carries a unique id, and the
+ * worker is expected to respond with either { id, result } or { id, error }.
+ */
+export class DecoderWorkerPool {
+  constructor(workerUrl, maxWorkers = DEFAULT_MAX_WORKERS) {
+    this.workerUrl = workerUrl;
+    this.maxWorkers = maxWorkers;
+    this.workers = [];
+    this.nextWorker = 0;
+    this.nextRequestId = 1;
+    this.outstandingRequests = 0;
+    this.pendingRequests = new Map(); // Map<id -> { resolve, reject }>
+  }
+
+  addWorker() {
+    const worker = new Worker(this.workerUrl);
+    worker.onmessage = (msg) => {
+      this.outstandingRequests--;
+      this.onWorkerMessage(msg);
+    };
+    worker.onerror = (event) => {
+      // Usually means the worker script (or one of its imports) failed to load, in which case nothing that's been
+      // sent to it will ever get a response.
+      this.rejectAll(new Error(`Decoder worker failed: ${event.message}`));
+    };
+    this.workers.push(worker);
+    return worker;
+  }
+
+  selectWorker() {
+    this.outstandingRequests++;
+    if (this.outstandingRequests >= this.workers.length && this.workers.length < this.maxWorkers) {
+      return this.addWorker();
+    }
+    return this.workers[this.nextWorker++ % this.workers.length];
+  }
+
+  onWorkerMessage(msg) {
+    const request = this.pendingRequests.get(msg.data.id);
+    if (!request) {
+      console.error(`Invalid pending decode request ID: ${msg.data.id}`);
+      return;
+    }
+    this.pendingRequests.delete(msg.data.id);
+
+    if (msg.data.error) {
+      request.reject(new Error(msg.data.error));
+    } else {
+      request.resolve(msg.data.result);
+    }
+  }
+
+  // Buffers in the transfer list are detached from the calling thread.
+  decode(message, transfer = []) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.selectWorker().postMessage(Object.assign({ id }, message), transfer);
+    });
+  }
+
+  rejectAll(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+    this.outstandingRequests = 0;
+  }
+
+  destroy() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.rejectAll(new Error('Decoder worker pool was destroyed.'));
+  }
+}
@@ -0,0 +1,287 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { quat } from './third-party/gl-matrix/dist/esm/index.js';
+
+const tmpQuatA = quat.create();
+const tmpQuatB = quat.create();
+
+/**
+ * AnimationSampler
+ * Interpolates between keyframes. Output values are stored as tightly packed floats, with three values per
+ * keyframe (in-tangent, value, out-tangent) when using CUBICSPLINE interpolation.
+ */
+export class AnimationSampler {
+  constructor(input, output, interpolation = 'LINEAR', componentCount = 1) {
+    this.input = input; // Float32Array of keyframe times, in seconds
+    this.output = output; // Float32Array of keyframe values
+    this.interpolation = interpolation;
+    this.componentCount = componentCount;
+
+    // Cached so that sequential playback doesn't need to search for the keyframe every frame.
+    this.lastKeyframe = 0;
+  }
+
+  get duration() {
+    return this.input.length ? this.input[this.input.length - 1] : 0;
+  }
+
+  // Returns the index of the keyframe at or immediately before time t.
+  findKeyframe(t) {
+    const input = this.input;
+    let i = this.lastKeyframe;
+    if (i >= input.length - 1 || input[i] > t) {
+      i = 0;
+    }
+    while (i < input.length - 2 && input[i + 1] <= t) {
+      i++;
+    }
+    this.lastKeyframe = i;
+    return i;
+  }
+
+  // Copies componentCount values from keyframe k into out.
+  getValue(out, k) {
+    const n = this.componentCount;
+    const stride = this.interpolation == 'CUBICSPLINE' ? n * 3 : n;
+    const offset = this.interpolation == 'CUBICSPLINE' ? n : 0;
+    for (let c = 0; c < n; ++c) {
+      out[c] = this.output[k * stride + offset + c];
+    }
+    return out;
+  }
+
+  // Writes the interpolated value at time t into out. Set isRotation to get quaternion-correct interpolation.
+  sample(out, t, isRotation = false) {
+    const input = this.input;
+    const n = this.componentCount;
+
+    if (input.length == 1 || t <= input[0]) {
+      return this.getValue(out, 0);
+    }
+    if (t >= input[input.length - 1]) {
+      return this.getValue(out, input.length - 1);
+    }
+
+    const k = this.findKeyframe(t);
+    const t0 = input[k];
+    const t1 = input[k + 1];
+    const dt = t1 - t0;
+    const s = (t - t0) / dt;
+
+    switch (this.interpolation) {
+      case 'STEP':
+        return this.getValue(out, k);
+
+      case 'CUBICSPLINE': {
+        // Hermite spline, as described in Appendix C of the glTF 2.0 spec.
+        const stride = n * 3;
+        const s2 = s * s;
+        const s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1;
+        const h10 = s3 - 2 * s2 + s;
+        const h01 = -2 * s3 + 3 * s2;
+        const h11 = s3 - s2;
+        const o = this.output;
+        for (let c = 0; c < n; ++c) {
+          const v0 = o[k * stride + n + c];
+          const b0 = o[k * stride + n * 2 + c]; // Out-tangent
+          const a1 = o[(k + 1) * stride + c]; // In-tangent
+          const v1 = o[(k + 1) * stride + n + c];
+          out[c] = h00 * v0 + h10 * dt * b0 + h01 * v1 + h11 * dt * a1;
+        }
+        if (isRotation) {
+          quat.normalize(out, out);
+        }
+        return out;
+      }
+
+      default: // LINEAR
+        if (isRotation) {
+          this.getValue(tmpQuatA, k);
+          this.getValue(tmpQuatB, k + 1);
+          return quat.slerp(out, tmpQuatA, tmpQuatB, s);
+        }
+        for (let c = 0; c < n; ++c) {
+          const v0 = this.output[k * n + c];
+          const v1 = this.output[(k + 1) * n + c];
+          out[c] = v0 + (v1 - v0) * s;
+        }
+        return out;
+    }
+  }
+}
+
+/**
+ * AnimationChannel
+ * Binds a sampler to a single property (translation, rotation, scale, or weights) of a Node.
+ */
+export class AnimationChannel {
+  constructor(sampler, node, path) {
+    this.sampler = sampler;
+    this.node = node;
+    this.path = path;
+  }
+
+  apply(t) {
+    const node = this.node;
+    const target = node[this.path];
+    if (!target) { return; }
+
+    this.sampler.sample(target, t, this.path == 'rotation');
+    if (this.path != 'weights') {
+      node.markDirty();
+    }
+  }
+}
+
+/**
+ * Animation
+ * A single named clip, made up of channels that all play on the same timeline.
+ */
+export class Animation {
+  constructor(name, channels) {
+    this.name = name || null;
+    this.channels = channels;
+    this.animatesWeights = channels.some((channel) => channel.path == 'weights');
+    this.duration = 0;
+    for (const channel of channels) {
+      this.duration = Math.max(this.duration, channel.sampler.duration);
+    }
+  }
+
+  apply(t) {
+    for (const channel of this.channels) {
+      channel.apply(t);
+    }
+  }
+}
+
+class AnimationState {
+  constructor(animation) {
+    this.animation = animation;
+    this.time = 0;
+    this.playing = false;
+    this.loop = true;
+    this.speed = 1.0;
+  }
+}
+
+/**
+ * AnimationPlayer
+ * Tracks playback state (time, play/pause, looping, and speed) for each clip in a scene and applies the active ones
+ * to their target nodes every frame. Clips can be referenced by index, name, or Animation object.
+ */
+export class AnimationPlayer {
+  constructor(animations = []) {
+    this.states = animations.map((animation) => new AnimationState(animation));
+    // Set whenever a clip that animates morph target weights is applied. Weights don't move any nodes, so unlike the
+    // other paths they can't be picked up from the node transforms. Left for the caller to clear.
+    this.weightsChanged = false;
+  }
+
+  get animations() {
+    return this.states.map((state) => state.animation);
+  }
+
+  getState(clip) {
+    if (typeof clip == 'number') {
+      return this.states[clip];
+    }
+    return this.states.find((state) => state.animation == clip || state.animation.name == clip);
+  }
+
+  play(clip, options = {}) {
+    const state = this.getState(clip);
+    if (!state) {
+      throw new Error(`Unknown animation clip: ${clip}`);
+    }
+    if (options.loop !== undefined) { state.loop = options.loop; }
+    if (options.speed !== undefined) { state.speed = options.speed; }
+    if (options.time !== undefined) { state.time = options.time; }
+    state.playing = true;
+  }
+
+  playAll(options) {
+    for (let i = 0; i < this.states.length; ++i) {
+      this.play(i, options);
+    }
+  }
+
+  pause(clip) {
+    const state = this.getState(clip);
+    if (state) { state.playing = false; }
+  }
+
+  pauseAll() {
+    for (const state of this.states) {
+      state.playing = false;
+    }
+  }
+
+  // Pauses the clip and returns it to its first frame.
+  stop(clip) {
+    const state = this.getState(clip);
+    if (state) {
+      state.playing = false;
+      state.time = 0;
+      state.animation.apply(0);
+      this.weightsChanged = this.weightsChanged || state.animation.animatesWeights;
+    }
+  }
+
+  setLoop(clip, loop) {
+    const state = this.getState(clip);
+    if (state) { state.loop = loop; }
+  }
+
+  setSpeed(clip, speed) {
+    const state = this.getState(clip);
+    if (state) { state.speed = speed; }
+  }
+
+  isPlaying(clip) {
+    const state = this.getState(clip);
+    return !!state && state.playing;
+  }
+
+  // timeDelta is in milliseconds, to match the renderer's frame callback.
+  update(timeDelta) {
+    for (const state of this.states) {
+      if (!state.playing) { continue; }
+
+      const duration = state.animation.duration;
+      state.time += (timeDelta / 1000) * state.speed;
+
+      if (state.loop && duration > 0) {
+        state.time %= duration;
+        if (state.time < 0) {
+          state.time += duration;
+        }
+      } else if (state.time >= duration || state.time <= 0) {
+        state.time = Math.min(Math.max(state.time, 0), duration);
+        state.playing = false;
+      }
+
+      state.animation.apply(state.time);
+      this.weightsChanged = this.weightsChanged || state.animation.animatesWeights;
+    }
+  }
+}
@@ -18,7 +18,9 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
-import { vec2, vec3, vec4, mat4 } from './third-party/gl-matrix/dist/esm/index.js';
+import { vec2, vec3, vec4, quat, mat4 } from './third-party/gl-matrix/dist/esm/index.js';
+import { Animation, AnimationChannel, AnimationSampler } from './gltf-animation.js';
+import { DecoderWorkerPool } from './decoder-worker-pool.js';
 
 // Used for comparing values from glTF files, which uses WebGL enums natively.
 const GL = WebGLRenderingContext;
@@ -34,6 +36,18 @@ const DEFAULT_SCALE = vec3.fromValues(1, 1, 1);
 const DEFAULT_BASE_COLOR_FACTOR = vec4.fromValues(1, 1, 1, 1);
 const DEFAULT_EMISSIVE_FACTOR = vec3.fromValues(0, 0, 0);
 
+// Files that list anything outside of this set in extensionsRequired can't be displayed correctly.
+const SUPPORTED_EXTENSIONS = new Set([
+  'EXT_meshopt_compression',
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_mesh_quantization',
+  'KHR_texture_basisu',
+]);
+
+const MESHOPT_WORKER_URL = new URL('./workers/meshopt-worker.js', import.meta.url);
+const DRACO_WORKER_URL = new URL('./workers/draco-worker.js', import.meta.url);
+
 const absUriRegEx = new RegExp(`^${window.location.protocol}`, 'i');
 const dataUriRegEx = /^data:/;
 function resolveUri(uri, baseUrl) {
@@ -49,6 +63,9 @@ function getComponentCount(type) {
     case 'VEC2': return 2;
     case 'VEC3': return 3;
     case 'VEC4': return 4;
+    case 'MAT2': return 4;
+    case 'MAT3': return 9;
+    case 'MAT4': return 16;
     default: return 0;
   }
 }
@@ -65,6 +82,207 @@ function getComponentTypeSize(componentType) {
   }
 }
 
+function getComponentTypeArray(componentType) {
+  switch (componentType) {
+    case GL.BYTE: return Int8Array;
+    case GL.UNSIGNED_BYTE: return Uint8Array;
+    case GL.SHORT: return Int16Array;
+    case GL.UNSIGNED_SHORT: return Uint16Array;
+    case GL.UNSIGNED_INT: return Uint32Array;
+    case GL.FLOAT: return Float32Array;
+    default: return null;
+  }
+}
+
+// Reads the contents of an accessor into a tightly packed typed array. Used for data that's consumed on the CPU
+// (like inverse bind matrices) rather than uploaded directly to the GPU.
+async function readAccessor(gltf, accessor) {
+  const componentCount = getComponentCount(accessor.type);
+  const componentSize = getComponentTypeSize(accessor.componentType);
+  const TypedArray = getComponentTypeArray(accessor.componentType);
+  const elementSize = componentCount * componentSize;
+
+  const output = new TypedArray(accessor.count * componentCount);
+  const outputBytes = new Uint8Array(output.buffer);
+
+  const bufferView = gltf.bufferViews[accessor.bufferView];
+  const dataView = await bufferView.dataView;
+  const byteStride = bufferView.byteStride || elementSize;
+  const byteOffset = dataView.byteOffset + (accessor.byteOffset || 0);
+
+  if (byteStride == elementSize) {
+    outputBytes.set(new Uint8Array(dataView.buffer, byteOffset, output.byteLength));
+  } else {
+    for (let i = 0; i < accessor.count; ++i) {
+      outputBytes.set(new Uint8Array(dataView.buffer, byteOffset + i * byteStride, elementSize), i * elementSize);
+    }
+  }
+
+  return output;
+}
+
+// Same as readAccessor, but always returns floats, converting normalized integer components as described in the
+// glTF spec's "Animations" section.
+async function readAccessorFloat(gltf, accessor) {
+  const data = await readAccessor(gltf, accessor);
+  if (data instanceof Float32Array) {
+    return data;
+  }
+
+  let divisor = 1;
+  if (accessor.normalized) {
+    switch (accessor.componentType) {
+      case GL.BYTE: divisor = 127; break;
+      case GL.UNSIGNED_BYTE: divisor = 255; break;
+      case GL.SHORT: divisor = 32767; break;
+      case GL.UNSIGNED_SHORT: divisor = 65535; break;
+    }
+  }
+
+  const output = new Float32Array(data.length);
+  for (let i = 0; i < data.length; ++i) {
+    output[i] = Math.max(data[i] / divisor, -1.0);
+  }
+  return output;
+}
+
+// Accessors without a bufferView are zero-filled, and sparse accessors substitute a subset of their elements. Neither
+// can be consumed directly by the renderers, so this materializes the final values into a new tightly packed
+// BufferView and returns an equivalent accessor that references it instead.
+function decodeAccessor(gltf, accessor) {
+  const componentCount = getComponentCount(accessor.type);
+  const elementSize = componentCount * getComponentTypeSize(accessor.componentType);
+  // Vertex attributes need to be 4 byte aligned. Scalars are left packed so they can still be used as indices.
+  const byteStride = componentCount > 1 ? Math.ceil(elementSize / 4) * 4 : elementSize;
+  const byteLength = accessor.count * byteStride;
+
+  const decodedBuffer = (async () => {
+    const output = new Uint8Array(byteLength);
+
+    if ('bufferView' in accessor) {
+      const values = await readAccessor(gltf, accessor);
+      const valueBytes = new Uint8Array(values.buffer);
+      for (let i = 0; i < accessor.count; ++i) {
+        output.set(valueBytes.subarray(i * elementSize, (i + 1) * elementSize), i * byteStride);
+      }
+    }
+
+    const sparse = accessor.sparse;
+    if (sparse) {
+      const [indices, values] = await Promise.all([
+        readAccessor(gltf, {
+          bufferView: sparse.indices.bufferView,
+          byteOffset: sparse.indices.byteOffset,
+          componentType: sparse.indices.componentType,
+          type: 'SCALAR',
+          count: sparse.count,
+        }),
+        readAccessor(gltf, {
+          bufferView: sparse.values.bufferView,
+          byteOffset: sparse.values.byteOffset,
+          componentType: accessor.componentType,
+          type: accessor.type,
+          count: sparse.count,
+        }),
+      ]);
+      const valueBytes = new Uint8Array(values.buffer);
+      for (let i = 0; i < sparse.count; ++i) {
+        output.set(valueBytes.subarray(i * elementSize, (i + 1) * elementSize), indices[i] * byteStride);
+      }
+    }
+
+    return output.buffer;
+  })();
+
+  const decodedAccessor = Object.assign({}, accessor, {
+    bufferView: gltf.bufferViews.length,
+    byteOffset: 0,
+  });
+  delete decodedAccessor.sparse;
+
+  gltf.bufferViews.push(new BufferView(decodedBuffer, byteStride != elementSize ? byteStride : 0, 0, byteLength));
+
+  return decodedAccessor;
+}
+
+// Decompresses an EXT_meshopt_compression bufferView on a worker. Resolves to an ArrayBuffer holding the uncompressed
+// contents of the bufferView, which then stands in for the bufferView's fallback buffer.
+function decodeMeshoptBufferView(decoder, buffers, meshopt) {
+  return buffers[meshopt.buffer].then((arrayBuffer) => {
+    const byteOffset = meshopt.byteOffset || 0;
+    // Copied so that it can be transferred to the worker without detaching the rest of the buffer.
+    const source = arrayBuffer.slice(byteOffset, byteOffset + meshopt.byteLength);
+    return decoder.decode({
+      source,
+      count: meshopt.count,
+      byteStride: meshopt.byteStride,
+      mode: meshopt.mode,
+      filter: meshopt.filter || 'NONE',
+    }, [source]);
+  });
+}
+
+// Decodes a KHR_draco_mesh_compression primitive on a worker. Every compressed attribute (and the indices) gets a new
+// tightly packed BufferView, and the returned accessors reference those in place of the original accessors.
+function decodeDracoPrimitive(decoder, gltf, accessors, primitive) {
+  const draco = primitive.extensions.KHR_draco_mesh_compression;
+  const indexAccessor = 'indices' in primitive ? accessors[primitive.indices] : null;
+
+  const dracoAttributes = {};
+  for (let name in draco.attributes) {
+    if (!(name in primitive.attributes)) {
+      continue;
+    }
+    const accessor = accessors[primitive.attributes[name]];
+    const componentCount = getComponentCount(accessor.type);
+    const elementSize = componentCount * getComponentTypeSize(accessor.componentType);
+    dracoAttributes[name] = {
+      uniqueId: draco.attributes[name],
+      componentType: accessor.componentType,
+      componentCount,
+      // Vertex attributes need to be 4 byte aligned.
+      byteStride: Math.ceil(elementSize / 4) * 4,
+    };
+  }
+
+  const decoded = gltf.bufferViews[draco.bufferView].dataView.then((dataView) => {
+    // Copied so that it can be transferred to the worker without detaching the rest of the buffer.
+    const source = dataView.buffer.slice(dataView.byteOffset, dataView.byteOffset + dataView.byteLength);
+    return decoder.decode({
+      source,
+      attributes: dracoAttributes,
+      indexComponentType: indexAccessor ? indexAccessor.componentType : 0,
+    }, [source]);
+  });
+
+  function addDecodedAccessor(accessor, buffer, byteStride) {
+    const elementSize = byteStride || getComponentTypeSize(accessor.componentType);
+    gltf.bufferViews.push(new BufferView(buffer, byteStride, 0, accessor.count * elementSize));
+    return Object.assign({}, accessor, {
+      bufferView: gltf.bufferViews.length - 1,
+      byteOffset: 0,
+    });
+  }
+
+  const attributes = {};
+  for (let name in dracoAttributes) {
+    attributes[name] = addDecodedAccessor(
+      accessors[primitive.attributes[name]],
+      decoded.then((result) => result.attributes[name]),
+      dracoAttributes[name].byteStride);
+  }
+
+  let indices = null;
+  if (indexAccessor) {
+    // There are no 8 bit index formats, so the worker decodes UNSIGNED_BYTE indices as UNSIGNED_SHORT instead.
+    const decodedIndexAccessor = indexAccessor.componentType == GL.UNSIGNED_BYTE ?
+        Object.assign({}, indexAccessor, { componentType: GL.UNSIGNED_SHORT }) : indexAccessor;
+    indices = addDecodedAccessor(decodedIndexAccessor, decoded.then((result) => result.indices), 0);
+  }
+
+  return { decoded, attributes, indices };
+}
+
 /**
  * Gltf2Loader
  * Loads glTF 2.0 scenes into a more gpu-ready structure.
@@ -72,6 +290,34 @@ function getComponentTypeSize(componentType) {
 
 export class Gltf2Loader {
   constructor() {
+    // Created the first time a file that needs them is loaded.
+    this.meshoptDecoder = null;
+    this.dracoDecoder = null;
+  }
+
+  getMeshoptDecoder() {
+    if (!this.meshoptDecoder) {
+      this.meshoptDecoder = new DecoderWorkerPool(MESHOPT_WORKER_URL);
+    }
+    return this.meshoptDecoder;
+  }
+
+  getDracoDecoder() {
+    if (!this.dracoDecoder) {
+      this.dracoDecoder = new DecoderWorkerPool(DRACO_WORKER_URL);
+    }
+    return this.dracoDecoder;
+  }
+
+  destroy() {
+    if (this.meshoptDecoder) {
+      this.meshoptDecoder.destroy();
+      this.meshoptDecoder = null;
+    }
+    if (this.dracoDecoder) {
+      this.dracoDecoder.destroy();
+      this.dracoDecoder = null;
+    }
   }
 
   async loadFromUrl(url) {
@@ -131,23 +377,48 @@ export class Gltf2Loader {
       throw new Error('Incompatible asset version.');
     }
 
+    for (const extension of json.extensionsRequired || []) {
+      if (!SUPPORTED_EXTENSIONS.has(extension)) {
+        throw new Error(`Unsupported required extension: ${extension}`);
+      }
+    }
+
     const gltf = new Gltf2();
     const resourcePromises = [];
 
     // Buffers
-    if (binaryChunk) {
-      gltf.buffers.push(Promise.resolve(binaryChunk));
-    } else {
-      for (let buffer of json.buffers) {
+    for (let buffer of json.buffers || []) {
+      if (buffer.extensions && buffer.extensions.EXT_meshopt_compression &&
+          buffer.extensions.EXT_meshopt_compression.fallback) {
+        // Fallback buffers are only for loaders that can't decode the compressed data, so don't bother fetching them.
+        gltf.buffers.push(Promise.resolve(null));
+      } else if (!buffer.uri && binaryChunk && !gltf.buffers.length) {
+        // The first buffer of a GLB file is the binary chunk.
+        gltf.buffers.push(Promise.resolve(binaryChunk));
+      } else {
         const uri = resolveUri(buffer.uri, baseUrl);
         gltf.buffers.push(fetch(uri).then((response) => response.arrayBuffer()));
       }
-
-      resourcePromises.push(...gltf.buffers);
     }
 
+    resourcePromises.push(...gltf.buffers);
+
     // Buffer Views
-    for (let bufferView of json.bufferViews) {
+    for (let bufferView of json.bufferViews || []) {
+      const meshopt = bufferView.extensions && bufferView.extensions.EXT_meshopt_compression;
+      if (meshopt) {
+        // Decoded data is tightly packed, so it starts at the beginning of the buffer that gets handed back.
+        const decodedBuffer = decodeMeshoptBufferView(this.getMeshoptDecoder(), gltf.buffers, meshopt);
+        resourcePromises.push(decodedBuffer);
+        gltf.bufferViews.push(new BufferView(
+          decodedBuffer,
+          bufferView.byteStride,
+          0,
+          bufferView.byteLength
+        ));
+        continue;
+      }
+
       gltf.bufferViews.push(new BufferView(
         gltf.buffers[bufferView.buffer],
         bufferView.byteStride,
@@ -250,24 +521,52 @@ export class Gltf2Loader {
 
         switch (material.alphaMode) {
           case 'BLEND':
+            glMaterial.alphaMode = 'BLEND';
             glMaterial.blend = true;
             break;
           case 'MASK':
-            // Not really supported.
-            glMaterial.blend = true;
+            // Alpha tested, so it can be drawn along with the opaque geometry.
+            glMaterial.alphaMode = 'MASK';
+            glMaterial.blend = false;
             break;
           default: // Includes 'OPAQUE'
+            glMaterial.alphaMode = 'OPAQUE';
             glMaterial.blend = false;
         }
 
-        // glMaterial.alpha_cutoff = material.alphaCutoff;
+        if ('alphaCutoff' in material) {
+          glMaterial.alphaCutoff = material.alphaCutoff;
+        }
         glMaterial.cullFace = !material.doubleSided;
 
         gltf.materials.push(glMaterial);
       }
     }
 
-    let accessors = json.accessors;
+    // Accessors
+    // Sparse and zero-filled accessors are resolved up front so that everything past this point can assume that
+    // accessors are always backed by a bufferView. The exception is Draco compressed accessors, which also lack a
+    // bufferView but get replaced when their primitive is decoded.
+    const dracoAccessors = new Set();
+    for (let mesh of json.meshes || []) {
+      for (let primitive of mesh.primitives) {
+        const draco = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+        if (draco) {
+          for (let name in draco.attributes) {
+            dracoAccessors.add(primitive.attributes[name]);
+          }
+          dracoAccessors.add(primitive.indices);
+        }
+      }
+    }
+
+    const accessors = [];
+    for (let [index, accessor] of (json.accessors || []).entries()) {
+      if (accessor.sparse || !('bufferView' in accessor || dracoAccessors.has(index))) {
+        accessor = decodeAccessor(gltf, accessor);
+      }
+      accessors.push(accessor);
+    }
 
     // Meshes
     const meshes = [];
@@ -288,11 +587,28 @@ export class Gltf2Loader {
           material = defaultMaterial;
         }
 
+        let attributeAccessors = {};
+        for (let name in primitive.attributes) {
+          attributeAccessors[name] = accessors[primitive.attributes[name]];
+        }
+        let indexAccessor = 'indices' in primitive ? accessors[primitive.indices] : null;
+
+        // Draco compressed attributes and indices are swapped out for accessors that point at the decoded data.
+        // Attributes that aren't listed in the extension are stored uncompressed and used as-is.
+        if (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression) {
+          const draco = decodeDracoPrimitive(this.getDracoDecoder(), gltf, accessors, primitive);
+          resourcePromises.push(draco.decoded);
+          Object.assign(attributeAccessors, draco.attributes);
+          if (draco.indices) {
+            indexAccessor = draco.indices;
+          }
+        }
+
         let elementCount = 0;
 
         let attributeBuffers = new Map();
-        for (let name in primitive.attributes) {
-          let accessor = accessors[primitive.attributes[name]];
+        for (let name in attributeAccessors) {
+          let accessor = attributeAccessors[name];
           elementCount = accessor.count;
 
           const bufferView = gltf.bufferViews[accessor.bufferView];
@@ -313,26 +629,40 @@ export class Gltf2Loader {
         }
 
         let indices = null;
-        if ('indices' in primitive) {
-          let accessor = accessors[primitive.indices];
-          elementCount = accessor.count;
+        if (indexAccessor) {
+          elementCount = indexAccessor.count;
 
-          const bufferView = gltf.bufferViews[accessor.bufferView];
+          const bufferView = gltf.bufferViews[indexAccessor.bufferView];
           bufferView.usage.add('index');
 
           indices = new PrimitiveIndices(
             bufferView,
-            accessor.byteOffset,
-            accessor.componentType
+            indexAccessor.byteOffset,
+            indexAccessor.componentType
           );
         }
 
+        // Morph targets are read back to the CPU, since renderers need to repack the deltas anyway.
+        let targets = [];
+        if (primitive.targets) {
+          for (let target of primitive.targets) {
+            const glTarget = {};
+            for (let name in target) {
+              resourcePromises.push(readAccessorFloat(gltf, accessors[target[name]]).then((deltas) => {
+                glTarget[name] = deltas;
+              }));
+            }
+            targets.push(glTarget);
+          }
+        }
+
         primitives.push(new Primitive(
           attributeBuffers,
           indices,
           elementCount,
           primitive.mode,
-          material
+          material,
+          targets
         ));
       }
 
@@ -348,34 +678,57 @@ export class Gltf2Loader {
           // Blender export has issues. Still not sure how to fix it:
           // https://github.com/KhronosGroup/glTF-Blender-IO/issues/564
           const Kv = 638;
-          gltf.lights.push(new Light(
+          const glLight = new Light(
             light.type,
             light.color,
             light.intensity, //(light.intensity) / (4 * Math.PI),
             light.range
-          ));
+          );
+          if (light.spot) {
+            glLight.innerConeAngle = light.spot.innerConeAngle || 0;
+            glLight.outerConeAngle = 'outerConeAngle' in light.spot ? light.spot.outerConeAngle : Math.PI / 4;
+          }
+          gltf.lights.push(glLight);
         }
       }
     }
     
 
-    function processNode(node, worldMatrix) {
+    function processNode(nodeId, worldMatrix) {
+      const node = json.nodes[nodeId];
       let glNode = new Node();
       glNode.name = node.name;
+      gltf.nodes[nodeId] = glNode;
 
       if ('mesh' in node) {
         glNode.primitives.push(...meshes[node.mesh]);
+
+        // All primitives in a mesh must have the same number of morph targets.
+        const mesh = json.meshes[node.mesh];
+        const targets = mesh.primitives[0].targets;
+        if (targets && targets.length) {
+          glNode.weights = new Float32Array(targets.length);
+          if (node.weights || mesh.weights) {
+            glNode.weights.set(node.weights || mesh.weights);
+          }
+        }
       }
 
-      if (glNode.matrix) {
+      if (node.matrix) {
         glNode.localMatrix = mat4.clone(node.matrix);
+        mat4.getTranslation(glNode.translation, glNode.localMatrix);
+        mat4.getRotation(glNode.rotation, glNode.localMatrix);
+        mat4.getScaling(glNode.scale, glNode.localMatrix);
       } else if (node.translation || node.rotation || node.scale) {
+        if (node.translation) { vec3.copy(glNode.translation, node.translation); }
+        if (node.rotation) { quat.copy(glNode.rotation, node.rotation); }
+        if (node.scale) { vec3.copy(glNode.scale, node.scale); }
         glNode.localMatrix = mat4.create();
         mat4.fromRotationTranslationScale(
           glNode.localMatrix,
-          node.rotation || DEFAULT_ROTATION,
-          node.translation || DEFAULT_TRANSLATION,
-          node.scale || DEFAULT_SCALE);
+          glNode.rotation,
+          glNode.translation,
+          glNode.scale);
       }
 
       if (glNode.localMatrix) {
@@ -386,14 +739,15 @@ export class Gltf2Loader {
 
       if ('extensions' in node) {
         if (node.extensions.KHR_lights_punctual) {
-          node.light = gltf.lights[node.extensions.KHR_lights_punctual.light];
-          vec3.transformMat4(node.light.position, node.light.position, glNode.worldMatrix);
+          // Lights can be shared between nodes, so they're placed using the node's world matrix rather than by
+          // storing a position on the light itself.
+          glNode.light = gltf.lights[node.extensions.KHR_lights_punctual.light];
         }
       }
 
       if (node.children) {
         for (let nodeId of node.children) {
-          glNode.children.push(processNode(json.nodes[nodeId], glNode.worldMatrix));
+          glNode.children.push(processNode(nodeId, glNode.worldMatrix));
         }
       }
 
@@ -402,7 +756,69 @@ export class Gltf2Loader {
 
     let scene = json.scenes[json.scene];
     for (let nodeId of scene.nodes) {
-      gltf.scene.children.push(processNode(json.nodes[nodeId], gltf.scene.worldMatrix));
+      gltf.scene.children.push(processNode(nodeId, gltf.scene.worldMatrix));
+    }
+
+    // Skins
+    if (json.skins) {
+      for (let skin of json.skins) {
+        const glSkin = new Skin(
+          skin.joints.map((nodeId) => gltf.nodes[nodeId]),
+          'skeleton' in skin ? gltf.nodes[skin.skeleton] : null
+        );
+
+        if ('inverseBindMatrices' in skin) {
+          resourcePromises.push(readAccessor(gltf, accessors[skin.inverseBindMatrices]).then((matrices) => {
+            glSkin.inverseBindMatrices.set(matrices);
+          }));
+        }
+
+        gltf.skins.push(glSkin);
+      }
+
+      for (let i = 0; i < json.nodes.length; ++i) {
+        const node = json.nodes[i];
+        if ('skin' in node && gltf.nodes[i]) {
+          gltf.nodes[i].skin = gltf.skins[node.skin];
+        }
+      }
+    }
+
+    // Animations
+    if (json.animations) {
+      json.animations.forEach((animation, animationIndex) => {
+        const samplerPromises = animation.samplers.map(async (sampler) => {
+          const inputAccessor = accessors[sampler.input];
+          const outputAccessor = accessors[sampler.output];
+          const interpolation = sampler.interpolation || 'LINEAR';
+
+          let componentCount = getComponentCount(outputAccessor.type);
+          if (componentCount == 1) {
+            // Morph target weights animate every weight of the mesh at once.
+            const valuesPerKeyframe = interpolation == 'CUBICSPLINE' ? 3 : 1;
+            componentCount = outputAccessor.count / (inputAccessor.count * valuesPerKeyframe);
+          }
+
+          const [input, output] = await Promise.all([
+            readAccessorFloat(gltf, inputAccessor),
+            readAccessorFloat(gltf, outputAccessor),
+          ]);
+          return new AnimationSampler(input, output, interpolation, componentCount);
+        });
+
+        resourcePromises.push(Promise.all(samplerPromises).then((samplers) => {
+          const channels = [];
+          for (let channel of animation.channels) {
+            const node = gltf.nodes[channel.target.node];
+            // Skip channels that target nodes outside of the loaded scene or properties defined by extensions.
+            if (!node || !(channel.target.path in node)) {
+              continue;
+            }
+            channels.push(new AnimationChannel(samplers[channel.sampler], node, channel.target.path));
+          }
+          gltf.animations[animationIndex] = new Animation(animation.name, channels);
+        }));
+      });
     }
 
     await Promise.all(resourcePromises);
@@ -421,6 +837,9 @@ class Gltf2 {
     this.materials = [];
     this.primitives = [];
     this.lights = [];
+    this.skins = [];
+    this.animations = [];
+    this.nodes = []; // Indexed the same as the glTF file's nodes
     this.scene = new Node();
   }
 }
@@ -433,7 +852,78 @@ class Node {
     this.worldMatrix = mat4.create();
     // null is treated as an identity matrix
     this.localMatrix = null;
+    // Decomposed local transform. Animations write to these and the localMatrix is rebuilt from them.
+    this.translation = vec3.clone(DEFAULT_TRANSLATION);
+    this.rotation = quat.clone(DEFAULT_ROTATION);
+    this.scale = vec3.clone(DEFAULT_SCALE);
+    this.dirty = false;
+    // Morph target weights, or null if the node's mesh has no targets. Can be animated or set directly.
+    this.weights = null;
     this.light = null;
+    this.skin = null;
+  }
+
+  markDirty() {
+    this.dirty = true;
+  }
+
+  // Propagates local transform changes down the node hierarchy. Returns true if the world matrix of this node or any
+  // of its descendants changed.
+  updateWorldMatrix(parentWorldMatrix = null, parentChanged = false) {
+    let changed = parentChanged;
+
+    if (this.dirty) {
+      if (!this.localMatrix) {
+        this.localMatrix = mat4.create();
+      }
+      mat4.fromRotationTranslationScale(this.localMatrix, this.rotation, this.translation, this.scale);
+      this.dirty = false;
+      changed = true;
+    }
+
+    if (changed) {
+      if (parentWorldMatrix && this.localMatrix) {
+        mat4.mul(this.worldMatrix, parentWorldMatrix, this.localMatrix);
+      } else if (parentWorldMatrix) {
+        mat4.copy(this.worldMatrix, parentWorldMatrix);
+      } else if (this.localMatrix) {
+        mat4.copy(this.worldMatrix, this.localMatrix);
+      }
+    }
+
+    let subtreeChanged = changed;
+    for (let child of this.children) {
+      subtreeChanged = child.updateWorldMatrix(this.worldMatrix, changed) || subtreeChanged;
+    }
+    return subtreeChanged;
+  }
+}
+
+class Skin {
+  constructor(joints, skeleton) {
+    this.joints = joints; // Node[]
+    this.skeleton = skeleton || null;
+
+    // Defaults to identity matrices if the file doesn't supply any.
+    this.inverseBindMatrices = new Float32Array(16 * joints.length);
+    this.jointMatrices = new Float32Array(16 * joints.length);
+    for (let i = 0; i < joints.length; ++i) {
+      mat4.identity(new Float32Array(this.inverseBindMatrices.buffer, i * 16 * 4, 16));
+    }
+
+    // For renderer-specific data;
+    this.renderData = {};
+  }
+
+  // Recomputes the matrices that transform a vertex from bind pose into world space. Per the glTF spec the transform
+  // of the node the skinned mesh is attached to is ignored, so these replace the model matrix entirely.
+  updateJointMatrices() {
+    for (let i = 0; i < this.joints.length; ++i) {
+      const jointMatrix = new Float32Array(this.jointMatrices.buffer, i * 16 * 4, 16);
+      const inverseBindMatrix = new Float32Array(this.inverseBindMatrices.buffer, i * 16 * 4, 16);
+      mat4.mul(jointMatrix, this.joints[i].worldMatrix, inverseBindMatrix);
+    }
+    return this.jointMatrices;
   }
 }
 
@@ -465,12 +955,17 @@ class PrimitiveAttribute {
     this.normalized = normalized || false;
   }
 
+  // Vertex attributes are always aligned to 4 bytes, which matters for quantized VEC3s.
   get packedByteStride() {
-    return getComponentTypeSize(this.componentType) * this.componentCount;
+    return Math.ceil((getComponentTypeSize(this.componentType) * this.componentCount) / 4) * 4;
   }
 
   get gpuFormat() {
-    const count = this.componentCount > 1 ? `x${this.componentCount}` : '';
+    // There are no three component 8 or 16 bit vertex formats. The alignment rules above guarantee that there's
+    // padding to read a fourth component from, which the shader then ignores.
+    const componentCount = (this.componentCount == 3 && getComponentTypeSize(this.componentType) < 4) ?
+                           4 : this.componentCount;
+    const count = componentCount > 1 ? `x${componentCount}` : '';
     const intType = this.normalized ? 'norm' : 'int';
     switch(this.componentType) {
       case GL.BYTE:
@@ -487,6 +982,15 @@ class PrimitiveAttribute {
         return `float32${count}`;
     }
   }
+
+  // The scalar type that a shader has to declare to read gpuFormat. Quantized attributes that aren't normalized come
+  // through as integers, and it's up to the shader to convert them.
+  get gpuShaderScalarType() {
+    if (this.componentType == GL.FLOAT || this.normalized) {
+      return 'f32';
+    }
+    return (this.componentType == GL.BYTE || this.componentType == GL.SHORT) ? 'i32' : 'u32';
+  }
 }
 
 class PrimitiveIndices {
@@ -502,12 +1006,14 @@ class PrimitiveIndices {
 }
 
 class Primitive {
-  constructor(attributeBuffers, indices, elementCount, mode, material) {
+  constructor(attributeBuffers, indices, elementCount, mode, material, targets) {
     this.attributeBuffers = attributeBuffers; // Map<BufferView -> PrimitiveBufferAttributes>
     this.indices = indices || null;
     this.elementCount = elementCount || 0;
     this.mode = mode || GL.TRIANGLES;
     this.material = material;
+    // Array of { POSITION, NORMAL, TANGENT } Float32Arrays of per-vertex deltas. Any of them may be missing.
+    this.targets = targets || [];
 
     this.enabledAttributes = new Set();
     for (let bufferAttributes of attributeBuffers.values()) {
@@ -520,6 +1026,16 @@ class Primitive {
     this.renderData = {};
   }
 
+  // Returns the PrimitiveAttribute with the given name, or null if the primitive doesn't have it.
+  getAttribute(name) {
+    for (let bufferAttributes of this.attributeBuffers.values()) {
+      if (name in bufferAttributes.attributes) {
+        return bufferAttributes.attributes[name];
+      }
+    }
+    return null;
+  }
+
   getPartialRenderPipelineDescriptor(attributeMap) {
     const primitive = {
       topology: this.gpuPrimitiveTopology,
@@ -683,6 +1199,8 @@ class Material {
     this.emissiveFactor = null;
     this.emissiveTexture = null;
     this.cullFace = true;
+    this.alphaMode = 'OPAQUE'; // 'OPAQUE', 'MASK', or 'BLEND'
+    this.alphaCutoff = 0.5; // Only used by MASK
     this.blend = false;
 
     // For renderer-specific data;
@@ -707,11 +1225,13 @@ class BufferView {
 
 class Light {
   constructor(type, color = [1.0, 1.0, 1.0], intensity = 1.0, range = -1) {
-    this.type = type;
+    this.type = type; // 'point', 'spot', or 'directional'
     this.color = color;
     this.intensity = intensity;
-    this.range = range;
+    this.range = range; // Lights without a range are unbounded
 
-    this.position = vec3.create();
+    // Only used by spot lights
+    this.innerConeAngle = 0;
+    this.outerConeAngle = Math.PI / 4;
   }
 }
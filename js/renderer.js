@@ -18,22 +18,36 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
-import { vec3, mat4 } from './third-party/gl-matrix/dist/esm/index.js';
-
-const lightFloatCount = 8;
-const lightByteSize = lightFloatCount * 4;
-
-class Light {
-  static floatSize = 8;
+import { vec3, vec4, mat4 } from './third-party/gl-matrix/dist/esm/index.js';
+import { AnimationPlayer } from './gltf-animation.js';
+import { MAX_DIRECTIONAL_LIGHTS, MAX_SHADOW_CASCADES } from './light-constants.js';
+
+// Must match the LightType_* constants in the shaders.
+export const LightType = {
+  Point: 0,
+  Spot: 1,
+  Directional: 2,
+};
+
+export class Light {
+  static floatSize = 16;
   static byteSize = Light.floatSize * 4;
 
   constructor(buffer, byteOffset) {
     this.position = new Float32Array(buffer, byteOffset, 4);
     this.rangeArray = new Float32Array(buffer, byteOffset + 12, 1);
-    this.color = new Float32Array(buffer, byteOffset + 16, 4);
+    this.color = new Float32Array(buffer, byteOffset + 16, 3);
+    this.typeArray = new Uint32Array(buffer, byteOffset + 28, 1);
+    // Only used by spot lights. The cone angles are stored as cosines, which is what the shaders want.
+    this.direction = new Float32Array(buffer, byteOffset + 32, 3);
+    this.coneCosArray = new Float32Array(buffer, byteOffset + 44, 2); // [outer, inner]
     this.velocity = new Float32Array(3);
     this.destination = new Float32Array(3);
     this.travelTime = 0;
+
+    this.direction[2] = -1;
+    this.innerConeAngle = 0;
+    this.outerConeAngle = Math.PI / 4;
   }
 
   get range() {
@@ -43,23 +57,97 @@ class Light {
   set range(value) {
     this.rangeArray[0] = value;
   }
+
+  get type() {
+    return this.typeArray[0];
+  }
+
+  set type(value) {
+    this.typeArray[0] = value;
+  }
+
+  get innerConeAngle() {
+    return Math.acos(this.coneCosArray[1]);
+  }
+
+  set innerConeAngle(value) {
+    this.coneCosArray[1] = Math.cos(value);
+  }
+
+  get outerConeAngle() {
+    return Math.acos(this.coneCosArray[0]);
+  }
+
+  set outerConeAngle(value) {
+    this.coneCosArray[0] = Math.cos(value);
+  }
 }
 
-class LightManager extends EventTarget {
+// Directional lights affect everything, so rather than being assigned to clusters they're kept in a small, separate
+// list that's applied to every pixel.
+export class DirectionalLight {
+  static floatSize = 8;
+  static byteSize = DirectionalLight.floatSize * 4;
+
+  constructor(buffer, byteOffset) {
+    this.setStorage(buffer, byteOffset);
+  }
+
+  // Points the light at a new slot in the uniform buffer, carrying over its current values.
+  setStorage(buffer, byteOffset) {
+    const direction = new Float32Array(buffer, byteOffset, 3);
+    const color = new Float32Array(buffer, byteOffset + 16, 3);
+    if (this.direction) {
+      direction.set(this.direction);
+      color.set(this.color);
+    }
+    // Direction the light is travelling in, world space.
+    this.direction = direction;
+    this.color = color;
+  }
+}
+
+export { MAX_DIRECTIONAL_LIGHTS, MAX_SHADOW_CASCADES };
+
+// Must match the ProjectionMode_* constants in the shaders.
+export const ProjectionMode = {
+  Perspective: 0,
+  Orthographic: 1,
+};
+
+const DEFAULT_MAX_LIGHT_COUNT = 1024;
+
+const SUN_COLOR = [1.0, 0.95, 0.85];
+const MOON_COLOR = [0.35, 0.4, 0.55];
+
+export class LightManager extends EventTarget {
+  // Layout of the uniform buffer: ambient color, light count, directional light count, directional lights, lights.
+  static directionalLightsByteOffset = 32;
+  static lightsByteOffset = LightManager.directionalLightsByteOffset + DirectionalLight.byteSize * MAX_DIRECTIONAL_LIGHTS;
+
   constructor(lightCount) {
     super();
 
     this.maxLightCount = lightCount;
 
-    this.uniformArray = new Float32Array(4 + Light.floatSize * lightCount);
+    // Incremented whenever the lights change, so that work derived from them can be skipped while they don't. Code
+    // that writes to the lights directly should call markChanged() once it's done.
+    this.version = 0;
+
+    this.uniformArray = new Float32Array(LightManager.lightsByteOffset / 4 + Light.floatSize * lightCount);
 
     this.ambientColor = new Float32Array(this.uniformArray.buffer, 0, 3);
     this.lightCountArray = new Uint32Array(this.uniformArray.buffer, 12, 1);
     this.lightCountArray[0] = lightCount;
+    this.directionalLightCountArray = new Uint32Array(this.uniformArray.buffer, 16, 1);
+
+    this.directionalLights = [];
+    // The directional light that casts shadows, if any. Must be one of the directionalLights.
+    this.shadowLight = null;
 
     this.lights = new Array(lightCount);
     for (let i = 0; i < lightCount; ++i) {
-      this.lights[i] = new Light(this.uniformArray.buffer, 16 + lightByteSize * i);
+      this.lights[i] = new Light(this.uniformArray.buffer, LightManager.lightsByteOffset + Light.byteSize * i);
     }
   }
 
@@ -68,44 +156,381 @@ class LightManager extends EventTarget {
   }
 
   set lightCount(value) {
-    this.lightCountArray[0] = Math.min(value, this.maxLightCount);
+    const lightCount = Math.min(value, this.maxLightCount);
+    if (lightCount != this.lightCountArray[0]) {
+      this.lightCountArray[0] = lightCount;
+      this.markChanged();
+    }
+  }
+
+  markChanged() {
+    this.version++;
+  }
+
+  // Number of floats at the start of the uniform array that hold the lights in use. There's no need to upload the rest.
+  get uniformFloatCount() {
+    return LightManager.lightsByteOffset / 4 + Light.floatSize * this.lightCount;
+  }
+
+  // Returns the new DirectionalLight, or null if there's no room for it.
+  addDirectionalLight(direction, color) {
+    const index = this.directionalLights.length;
+    if (index == MAX_DIRECTIONAL_LIGHTS) {
+      console.warn(`Only ${MAX_DIRECTIONAL_LIGHTS} directional lights are supported.`);
+      return null;
+    }
+
+    const light = new DirectionalLight(this.uniformArray.buffer,
+        LightManager.directionalLightsByteOffset + DirectionalLight.byteSize * index);
+    vec3.normalize(light.direction, direction);
+    vec3.copy(light.color, color);
+
+    this.directionalLights.push(light);
+    this.directionalLightCountArray[0] = this.directionalLights.length;
+    this.markChanged();
+    return light;
+  }
+
+  removeDirectionalLight(light) {
+    const index = this.directionalLights.indexOf(light);
+    if (index == -1) { return; }
+
+    if (light == this.shadowLight) {
+      this.shadowLight = null;
+    }
+
+    // Keep the list packed by moving the last light into the vacated slot.
+    const last = this.directionalLights.pop();
+    if (last != light) {
+      last.setStorage(this.uniformArray.buffer,
+          LightManager.directionalLightsByteOffset + DirectionalLight.byteSize * index);
+      this.directionalLights[index] = last;
+    }
+    this.directionalLightCountArray[0] = this.directionalLights.length;
+    this.markChanged();
+  }
+
+  clearDirectionalLights() {
+    this.directionalLights = [];
+    this.shadowLight = null;
+    this.directionalLightCountArray[0] = 0;
+    this.markChanged();
+  }
+
+  // Convenience methods for outdoor scenes. See directionFromSky() for the meaning of azimuth and elevation.
+  addSunLight(azimuth, elevation, intensity = 3.0) {
+    return this.addDirectionalLight(directionFromSky(azimuth, elevation), vec3.scale(vec3.create(), SUN_COLOR, intensity));
+  }
+
+  addMoonLight(azimuth, elevation, intensity = 0.1) {
+    return this.addDirectionalLight(directionFromSky(azimuth, elevation), vec3.scale(vec3.create(), MOON_COLOR, intensity));
   }
 }
 
+// Direction of travel for light coming from the given point in the sky. The azimuth is the angle around the Y axis and
+// the elevation is the angle above the horizon, both in radians.
+function directionFromSky(azimuth, elevation) {
+  const cosElevation = Math.cos(elevation);
+  return vec3.fromValues(
+    -Math.sin(azimuth) * cosElevation,
+    -Math.sin(elevation),
+    -Math.cos(azimuth) * cosElevation
+  );
+}
+
 function randomBetween(min, max) {
   return Math.random() * (max - min) + min;
 }
 
-export class Renderer {
+// Lights without a range are physically unbounded, but they need a finite volume to be assigned to clusters. They're
+// cut off at the distance where their contribution falls below this.
+const MIN_LIGHT_CONTRIBUTION = 0.001;
+
+function getLightNodes(node, lightNodes = []) {
+  if (node.light) {
+    lightNodes.push(node);
+  }
+  for (const child of node.children) {
+    getLightNodes(child, lightNodes);
+  }
+  return lightNodes;
+}
+
+// glTF lights point down their node's local -Z axis.
+function getNodeDirection(out, node) {
+  const worldMatrix = node.worldMatrix;
+  vec3.set(out, -worldMatrix[8], -worldMatrix[9], -worldMatrix[10]);
+  return vec3.normalize(out, out);
+}
+
+// Same as mat4.ortho, but maps depth to [0, 1] like mat4.perspectiveZO rather than WebGL's [-1, 1].
+function orthoZO(out, left, right, bottom, top, near, far) {
+  mat4.ortho(out, left, right, bottom, top, near, far);
+  out[10] = 1 / (near - far);
+  out[14] = near / (near - far);
+  return out;
+}
+
+// How the cascade splits are spread over the view depth range: 0 spaces them evenly and 1 spaces them logarithmically.
+// In between keeps the near cascades sharp without the far ones getting too long.
+const SHADOW_SPLIT_BLEND = 0.75;
+
+// How far past each cascade, towards the light, shadow casters are still picked up.
+const SHADOW_CASTER_DISTANCE = 50.0;
+
+const DEFAULT_SHADOW_MAP_SIZE = 2048;
+
+const ORIGIN = vec3.fromValues(0, 0, 0);
+const UNIT_Y = vec3.fromValues(0, 1, 0);
+const UNIT_Z = vec3.fromValues(0, 0, 1);
+
+// Cascaded shadow maps for the LightManager's shadowLight. Each cascade covers a slice of the camera frustum, split
+// between the near and far planes, with an orthographic projection along the light direction that's fit around it.
+export class ShadowCascades {
+  // Layout of the uniform buffer: cascade matrices, split depths, texel sizes, view depth plane, light index, cascade
+  // count, bias. Must match the ShadowUniforms struct in the shaders.
+  static matricesByteOffset = 0;
+  static splitsByteOffset = 16 * 4 * MAX_SHADOW_CASCADES;
+  static floatSize = ShadowCascades.splitsByteOffset / 4 + 16;
+
   constructor() {
+    this.uniformArray = new Float32Array(ShadowCascades.floatSize);
+
+    // World space to shadow map clip space, per cascade.
+    this.matrices = new Array(MAX_SHADOW_CASCADES);
+    for (let i = 0; i < MAX_SHADOW_CASCADES; ++i) {
+      this.matrices[i] = new Float32Array(this.uniformArray.buffer, ShadowCascades.matricesByteOffset + 64 * i, 16);
+    }
+    // View depth of the far end of each cascade.
+    this.splits = new Float32Array(this.uniformArray.buffer, ShadowCascades.splitsByteOffset, 4);
+    // Size of a shadow map texel in world units, per cascade.
+    this.texelSizes = new Float32Array(this.uniformArray.buffer, ShadowCascades.splitsByteOffset + 16, 4);
+    // Dotted with a world space position to get its view depth.
+    this.viewDepthPlane = new Float32Array(this.uniformArray.buffer, ShadowCascades.splitsByteOffset + 32, 4);
+    this.lightIndexArray = new Uint32Array(this.uniformArray.buffer, ShadowCascades.splitsByteOffset + 48, 1);
+    this.cascadeCountArray = new Uint32Array(this.uniformArray.buffer, ShadowCascades.splitsByteOffset + 52, 1);
+    this.biasArray = new Float32Array(this.uniformArray.buffer, ShadowCascades.splitsByteOffset + 56, 1);
+
+    this.cascadeCount = 3;
+    this.mapSize = DEFAULT_SHADOW_MAP_SIZE;
+    // How far surfaces are pushed out along their normal before being tested against the shadow map, in texels.
+    this.bias = 1.5;
+
+    this.lightView = mat4.create();
+    this.lightProjection = mat4.create();
+    this.inverseViewMatrix = mat4.create();
+  }
+
+  // Fits the cascades to the current view. Returns false, and leaves the cascades disabled in the uniforms, if there's
+  // nothing to cast shadows.
+  update(lightManager, projectionMatrix, inverseProjectionMatrix, viewMatrix, zRange) {
+    const lightIndex = lightManager.directionalLights.indexOf(lightManager.shadowLight);
+    if (!this.cascadeCount || lightIndex == -1) {
+      this.cascadeCountArray[0] = 0;
+      return false;
+    }
+
+    this.lightIndexArray[0] = lightIndex;
+    this.cascadeCountArray[0] = this.cascadeCount;
+    this.biasArray[0] = this.bias;
+
+    // The third row of the view matrix gives view space Z, which is negated to get a positive depth.
+    vec4.set(this.viewDepthPlane, -viewMatrix[2], -viewMatrix[6], -viewMatrix[10], -viewMatrix[14]);
+    mat4.invert(this.inverseViewMatrix, viewMatrix);
+
+    // Shadow maps only need a rotation into light space, the cascades each add their own offset in the projection.
+    const direction = lightManager.shadowLight.direction;
+    const up = Math.abs(direction[1]) > 0.99 ? UNIT_Z : UNIT_Y;
+    mat4.lookAt(this.lightView, ORIGIN, direction, up);
+
+    const [zNear, zFar] = zRange;
+    let sliceNear = zNear;
+    for (let i = 0; i < this.cascadeCount; ++i) {
+      const t = (i + 1) / this.cascadeCount;
+      const linearSplit = zNear + (zFar - zNear) * t;
+      const logSplit = zNear * Math.pow(zFar / zNear, t);
+      const sliceFar = linearSplit + (logSplit - linearSplit) * SHADOW_SPLIT_BLEND;
+      this.splits[i] = sliceFar;
+
+      this.fitCascade(i, sliceNear, sliceFar, projectionMatrix, inverseProjectionMatrix);
+      sliceNear = sliceFar;
+    }
+    return true;
+  }
+
+  // Fits a bounding sphere around the frustum slice between the given view depths, rather than a tight box, so the
+  // cascade's size doesn't change as the camera turns. Its position is snapped to whole texels for the same reason.
+  fitCascade(index, sliceNear, sliceFar, projectionMatrix, inverseProjectionMatrix) {
+    const corners = [];
+    const center = vec3.create();
+    for (const depth of [sliceNear, sliceFar]) {
+      // Works out the NDC depth of the slice plane, which is what the inverse projection takes.
+      const ndcZ = (projectionMatrix[14] - projectionMatrix[10] * depth) /
+                   (projectionMatrix[15] - projectionMatrix[11] * depth);
+      for (const [x, y] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+        const corner = vec3.fromValues(x, y, ndcZ);
+        vec3.transformMat4(corner, corner, inverseProjectionMatrix);
+        vec3.transformMat4(corner, corner, this.inverseViewMatrix);
+        vec3.add(center, center, corner);
+        corners.push(corner);
+      }
+    }
+    vec3.scale(center, center, 1 / corners.length);
+
+    let radius = 0;
+    for (const corner of corners) {
+      radius = Math.max(radius, vec3.distance(center, corner));
+    }
+    radius = Math.ceil(radius * 16) / 16;
+
+    const texelSize = (radius * 2) / this.mapSize;
+    this.texelSizes[index] = texelSize;
+
+    vec3.transformMat4(center, center, this.lightView);
+    const x = Math.floor(center[0] / texelSize) * texelSize;
+    const y = Math.floor(center[1] / texelSize) * texelSize;
+    // The light view looks down -Z, so depths are negated Z values.
+    orthoZO(this.lightProjection, x - radius, x + radius, y - radius, y + radius,
+            -center[2] - radius - SHADOW_CASTER_DISTANCE, -center[2] + radius);
+    mat4.multiply(this.matrices[index], this.lightProjection, this.lightView);
+  }
+}
+
+// Options:
+//   maxLightCount: Number of point and spot lights to allocate room for. Defaults to 1024.
+export class Renderer extends EventTarget {
+  constructor(options = {}) {
+    super();
+
     this.canvas = document.createElement('canvas');
     this.camera = null;
     this.rafId = 0;
     this.frameCount = -1;
 
     this.lightPattern = 'wandering';
+    // When false the preset lights hold still, so the light lists derived from them can be reused between frames.
+    this.animatePresetLights = true;
+
+    this.scene = null;
+    this.animationPlayer = null;
+    // Nodes with KHR_lights_punctual lights that are driving the LightManager, if any. When empty the preset
+    // lights are used instead.
+    this.sceneLightNodes = [];
+    // Directional lights from the scene, as { node, light } pairs. These are added alongside whichever point and spot
+    // lights are in use.
+    this.sceneDirectionalLights = [];
+    // Set during beforeFrame if any node's world matrix changed this frame.
+    this.transformsChanged = false;
+    // Set during beforeFrame if any morph target weights were animated this frame. Skins don't need a flag of their
+    // own, since they follow their joint nodes.
+    this.morphWeightsChanged = false;
 
     // Storage for global uniforms.
     // These can either be used individually or as a uniform buffer.
-    this.frameUniforms = new Float32Array(16 + 16 + 16 + 4 + 4);
+    this.frameUniforms = new Float32Array(16 + 16 + 4 + 4 + 16 + 4);
 
     this.projectionMatrix = new Float32Array(this.frameUniforms.buffer, 0, 16);
     this.inverseProjectionMatrix = new Float32Array(this.frameUniforms.buffer, 16 * 4, 16);
     this.outputSize = new Float32Array(this.frameUniforms.buffer, 32 * 4, 2);
     this.zRange = new Float32Array(this.frameUniforms.buffer, 34 * 4, 2);
 
+    this.projectionModeArray = new Uint32Array(this.frameUniforms.buffer, 36 * 4, 1);
+
     this.zRange[0] = 0.2; // Near
     this.zRange[1] = 100.0; // Far
 
-    this.viewMatrix = new Float32Array(this.frameUniforms.buffer, 36 * 4, 16);
-    this.cameraPosition = new Float32Array(this.frameUniforms.buffer, 52 * 4, 3);
+    this.projectionMode = ProjectionMode.Perspective;
+    // Height of the visible area in world units when using an orthographic projection.
+    this.orthographicHeight = 20.0;
+
+    this.viewMatrix = new Float32Array(this.frameUniforms.buffer, 40 * 4, 16);
+    this.cameraPosition = new Float32Array(this.frameUniforms.buffer, 56 * 4, 3);
+    // Incremented whenever the view matrix changes.
+    this.viewVersion = 0;
 
     // Allocate all the scene's lights
-    this.lightManager = new LightManager(1024);
+    this.lightManager = new LightManager(options.maxLightCount || DEFAULT_MAX_LIGHT_COUNT);
 
     // Ambient color
     vec3.set(this.lightManager.ambientColor, 0.002, 0.002, 0.002);
 
+    this.initPresetLights();
+
+    this.shadowCascades = new ShadowCascades();
+
+    let lastTimestamp = -1;
+    this.frameCallback = (timestamp) => {
+      const timeDelta = lastTimestamp == -1 ? 0 : timestamp - lastTimestamp;
+      lastTimestamp = timestamp;
+      this.rafId = requestAnimationFrame(this.frameCallback);
+      this.frameCount++;
+      if (this.frameCount % 200 == 0) { return; }
+
+      if (this.stats) {
+        this.stats.begin();
+      }
+
+      this.beforeFrame(timestamp, timeDelta);
+
+      this.onFrame(timestamp, timeDelta);
+
+      if (this.stats) {
+        this.stats.end();
+      }
+    };
+
+    this.resizeCallback = () => {
+      this.canvas.width = this.canvas.clientWidth * devicePixelRatio;
+      this.canvas.height = this.canvas.clientHeight * devicePixelRatio;
+
+      this.outputSize[0] = this.canvas.width;
+      this.outputSize[1] = this.canvas.height;
+
+      this.updateProjection();
+
+      this.onResize(this.canvas.width, this.canvas.height);
+    };
+  }
+
+  // Rebuilds the projection matrix for the current projection mode and output size.
+  updateProjection() {
+    const aspect = this.outputSize[0] / this.outputSize[1];
+    if (this.projectionMode == ProjectionMode.Orthographic) {
+      const halfHeight = this.orthographicHeight * 0.5;
+      orthoZO(this.projectionMatrix, -halfHeight * aspect, halfHeight * aspect, -halfHeight, halfHeight,
+              this.zRange[0], this.zRange[1]);
+    } else {
+      // Using mat4.perspectiveZO instead of mat4.perpective because WebGPU's
+      // normalized device coordinates Z range is [0, 1], instead of WebGL's [-1, 1]
+      mat4.perspectiveZO(this.projectionMatrix, Math.PI * 0.5, aspect, this.zRange[0], this.zRange[1]);
+    }
+    mat4.invert(this.inverseProjectionMatrix, this.projectionMatrix);
+    this.projectionModeArray[0] = this.projectionMode;
+  }
+
+  // Options:
+  //   mode: One of the ProjectionModes. Defaults to perspective.
+  //   orthographicHeight: Height of the visible area in world units when orthographic.
+  setProjection(options = {}) {
+    const mode = options.mode || ProjectionMode.Perspective;
+    if (!Object.values(ProjectionMode).includes(mode)) {
+      throw new Error(`Unknown projection mode: ${mode}`);
+    }
+    this.projectionMode = mode;
+    if (options.orthographicHeight) {
+      this.orthographicHeight = options.orthographicHeight;
+    }
+
+    this.updateProjection();
+    this.onProjectionChange();
+  }
+
+  // Places the Sponza-specific corner lights and randomly wandering lights.
+  initPresetLights() {
+    for (const light of this.lightManager.lights) {
+      light.type = LightType.Point;
+    }
+
     // The first four lights will be fixed in each corner over the birdbath things.
     // Because otherwise the roaming lights rarely make it to the corners and it gets really dark.
     let light = this.lightManager.lights[0];
@@ -154,63 +579,145 @@ export class Renderer {
         randomBetween(0.1, 1)
       );
     }
+    this.lightManager.markChanged();
+  }
 
-    let lastTimestamp = -1;
-    this.frameCallback = (timestamp) => {
-      const timeDelta = lastTimestamp == -1 ? 0 : timestamp - lastTimestamp;
-      lastTimestamp = timestamp;
-      this.rafId = requestAnimationFrame(this.frameCallback);
-      this.frameCount++;
-      if (this.frameCount % 200 == 0) { return; }
+  async init() {
+    // Override with renderer-specific initialization logic.
+  }
 
-      if (this.stats) {
-        this.stats.begin();
-      }
+  setStats(stats) {
+    this.stats = stats;
+  }
 
-      this.beforeFrame(timestamp, timeDelta);
+  // Options:
+  //   useSceneLights: Replace the preset lights with any KHR_lights_punctual lights in the scene.
+  setGltf(gltf, options = {}) {
+    // Override with renderer-specific mesh loading logic. Overrides should call this to set up animation playback
+    // and lighting.
+    this.scene = gltf.scene;
+    this.animationPlayer = new AnimationPlayer(gltf.animations);
+
+    const hadSceneLights = this.sceneLightNodes.length > 0;
+    const lightNodes = options.useSceneLights ? getLightNodes(gltf.scene) : [];
+    this.initSceneLights(lightNodes);
+
+    if (hadSceneLights && !this.sceneLightNodes.length) {
+      // Switching away from a scene with authored point or spot lights.
+      this.lightManager.lightCount = this.lightManager.maxLightCount;
+      this.initPresetLights();
+    }
+  }
 
-      this.onFrame(timestamp, timeDelta);
+  initSceneLights(lightNodes) {
+    const lightManager = this.lightManager;
+    this.sceneLightNodes = [];
 
-      if (this.stats) {
-        this.stats.end();
+    for (const { light } of this.sceneDirectionalLights) {
+      lightManager.removeDirectionalLight(light);
+    }
+    this.sceneDirectionalLights = [];
+
+    for (const node of lightNodes) {
+      const sceneLight = node.light;
+      if (sceneLight.type == 'directional') {
+        const color = vec3.scale(vec3.create(), sceneLight.color, sceneLight.intensity);
+        const light = lightManager.addDirectionalLight(getNodeDirection(vec3.create(), node), color);
+        if (light) {
+          this.sceneDirectionalLights.push({ node, light });
+        }
+        continue;
+      }
+      if (this.sceneLightNodes.length == lightManager.maxLightCount) {
+        console.warn(`Scene has more than ${lightManager.maxLightCount} lights. Extra lights will be ignored.`);
+        break;
       }
-    };
 
-    this.resizeCallback = () => {
-      this.canvas.width = this.canvas.clientWidth * devicePixelRatio;
-      this.canvas.height = this.canvas.clientHeight * devicePixelRatio;
+      const light = lightManager.lights[this.sceneLightNodes.length];
+      if (sceneLight.type == 'spot') {
+        light.type = LightType.Spot;
+        light.innerConeAngle = sceneLight.innerConeAngle;
+        light.outerConeAngle = sceneLight.outerConeAngle;
+      } else {
+        light.type = LightType.Point;
+      }
+      vec3.scale(light.color, sceneLight.color, sceneLight.intensity);
+      if (sceneLight.range > 0) {
+        light.range = sceneLight.range;
+      } else {
+        const maxIntensity = Math.max(light.color[0], light.color[1], light.color[2]);
+        light.range = Math.sqrt(maxIntensity / MIN_LIGHT_CONTRIBUTION);
+      }
+      light.travelTime = 0;
 
-      this.outputSize[0] = this.canvas.width;
-      this.outputSize[1] = this.canvas.height;
+      this.sceneLightNodes.push(node);
+    }
 
-      const aspect = this.canvas.width / this.canvas.height;
-      // Using mat4.perspectiveZO instead of mat4.perpective because WebGPU's
-      // normalized device coordinates Z range is [0, 1], instead of WebGL's [-1, 1]
-      mat4.perspectiveZO(this.projectionMatrix, Math.PI * 0.5, aspect, this.zRange[0], this.zRange[1]);
-      mat4.invert(this.inverseProjectionMatrix, this.projectionMatrix);
+    if (this.sceneLightNodes.length) {
+      lightManager.lightCount = this.sceneLightNodes.length;
+    }
+    this.updateSceneLights();
+  }
 
-      this.onResize(this.canvas.width, this.canvas.height);
-    };
+  // Moves each authored light to the current world space position and orientation of its node.
+  updateSceneLights() {
+    for (let i = 0; i < this.sceneLightNodes.length; ++i) {
+      const light = this.lightManager.lights[i];
+      const node = this.sceneLightNodes[i];
+      mat4.getTranslation(light.position, node.worldMatrix);
+      getNodeDirection(light.direction, node);
+    }
+    for (const { node, light } of this.sceneDirectionalLights) {
+      getNodeDirection(light.direction, node);
+    }
+    this.lightManager.markChanged();
   }
 
-  async init() {
-    // Override with renderer-specific initialization logic.
+  setViewMatrix(viewMatrix) {
+    if (!mat4.exactEquals(this.viewMatrix, viewMatrix)) {
+      mat4.copy(this.viewMatrix, viewMatrix);
+      this.viewVersion++;
+    }
   }
 
-  setStats(stats) {
-    this.stats = stats;
+  setOutputType(output) {
+    this.outputType = output;
   }
 
-  setGltf(gltf) {
-    // Override with renderer-specific mesh loading logic.
+  setAlphaToCoverage(enabled) {
+    // Not supported by default
   }
 
-  setViewMatrix(viewMatrix) {
-    mat4.copy(this.viewMatrix, viewMatrix);
+  setClusterConfig(options) {
+    // Not supported by default
   }
 
-  setOutputType(output) {
-    this.outputType = output;
+  setActiveClusterCulling(enabled) {
+    // Not supported by default
+  }
+
+  setBatchLightCulling(enabled) {
+    // Not supported by default
+  }
+
+  setLightHierarchyCulling(enabled) {
+    // Not supported by default
+  }
+
+  setImportanceLightSelection(enabled) {
+    // Not supported by default
+  }
+
+  // Options:
+  //   cascadeCount: Number of shadow cascades, up to MAX_SHADOW_CASCADES. 0 turns shadows off.
+  //   bias: How far surfaces are pushed out along their normal before being tested against the shadow map, in texels.
+  setShadowSettings(options) {
+    // Not supported by default. Only the WebGPU renderer has shadows.
+  }
+
+  async verifyClusters() {
+    // Not supported by default
+    return { message: 'Cluster verification is not supported by this renderer.' };
   }
 
   onLightPatternChange(pattern) {
@@ -218,10 +725,14 @@ export class Renderer {
   }
 
   updateLightRange(lightRange) {
+    if (this.sceneLightNodes.length) {
+      return; // Authored lights keep their own range.
+    }
     for (let i = 5; i < this.lightManager.maxLightCount; ++i) {
       const light = this.lightManager.lights[i];
       light.range = lightRange;
     }
+    this.lightManager.markChanged();
   }
 
   start() {
@@ -267,20 +778,37 @@ export class Renderer {
   // Handles frame logic that's common to all renderers.
   beforeFrame(timestamp, timeDelta) {
     // Copy values from the camera into our frame uniform buffers
-    mat4.copy(this.viewMatrix, this.camera.viewMatrix);
+    this.setViewMatrix(this.camera.viewMatrix);
     vec3.copy(this.cameraPosition, this.camera.position);
 
-    // Bob the corner lights up and down
-    for (let i = 0; i < 4; ++i) {
-      let light = this.lightManager.lights[i];
-      light.position[1] = 1.25 + Math.sin((timestamp + i * 250) / 500) * 0.25;
+    if (!this.sceneLightNodes.length && this.animatePresetLights) {
+      // Bob the corner lights up and down
+      for (let i = 0; i < 4; ++i) {
+        let light = this.lightManager.lights[i];
+        light.position[1] = 1.25 + Math.sin((timestamp + i * 250) / 500) * 0.25;
+      }
+
+      // Update each other light position with a wandering pattern.
+      switch (this.lightPattern) {
+        case 'wandering':
+          this.updateWanderingLights(timeDelta);
+          break;
+      }
+      this.lightManager.markChanged();
     }
 
-    // Update each other light position with a wandering pattern.
-    switch (this.lightPattern) {
-      case 'wandering':
-        this.updateWanderingLights(timeDelta);
-        break;
+    // Advance any playing animations and push the results down the node hierarchy.
+    this.morphWeightsChanged = false;
+    if (this.animationPlayer) {
+      this.animationPlayer.update(timeDelta);
+      this.morphWeightsChanged = this.animationPlayer.weightsChanged;
+      this.animationPlayer.weightsChanged = false;
+    }
+    this.transformsChanged = this.scene ? this.scene.updateWorldMatrix() : false;
+
+    // Authored lights follow their nodes, which may be animated.
+    if (this.transformsChanged) {
+      this.updateSceneLights();
     }
   }
 
@@ -288,6 +816,10 @@ export class Renderer {
     // Override with renderer-specific resize logic.
   }
 
+  onProjectionChange() {
+    // Override with renderer-specific logic for projection changes that don't come with a resize.
+  }
+
   onFrame(timestamp) {
     // Override with renderer-specific frame logic.
   }
@@ -83,6 +83,7 @@ layout(std140) uniform FrameUniforms {
   vec2 outputSize;
   float zNear;
   float zFar;
+  uint projectionMode;
   mat4 viewMatrix;
   vec3 cameraPosition;
 };
@@ -94,6 +95,7 @@ const WEBGL2_FRAGMENT_UNIFORMS = `
 layout(std140) uniform MaterialUniforms {
   vec4 baseColorFactor;
   vec2 metallicRoughnessFactor;
+  float alphaCutoff;
   vec3 emissiveFactor;
   float occlusionStrength;
 };
@@ -104,15 +106,30 @@ uniform sampler2D metallicRoughnessTexture;
 uniform sampler2D occlusionTexture;
 uniform sampler2D emissiveTexture;
 
+const uint LightType_Point = 0u;
+const uint LightType_Spot = 1u;
+const uint LightType_Directional = 2u;
+
 struct Light {
   vec3 position;
   float range;
   vec3 color;
+  uint lightType;
+  vec3 direction;
+  float outerConeCos;
+  float innerConeCos;
+};
+
+struct DirectionalLight {
+  vec3 direction;
+  vec3 color;
 };
 
 layout(std140) uniform LightUniforms {
   vec3 lightAmbient;
   int lightCount;
+  int directionalLightCount;
+  DirectionalLight directionalLights[MAX_DIRECTIONAL_LIGHTS];
   Light lights[LIGHT_COUNT];
 };
 `;
@@ -160,6 +177,26 @@ float GeometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
     float ggx1  = GeometrySchlickGGX(NdotL, roughness);
 
     return ggx1 * ggx2;
+}
+
+vec3 LightRadiance(vec3 L, vec3 radiance, vec3 N, vec3 V, vec3 F0, vec3 albedo, float metallic, float roughness) {
+    vec3 H = normalize(V + L);
+
+    // cook-torrance brdf
+    float NDF = DistributionGGX(N, H, roughness);
+    float G   = GeometrySmith(N, V, L, roughness);
+    vec3 F    = FresnelSchlick(max(dot(H, V), 0.0), F0);
+
+    vec3 kS = F;
+    vec3 kD = vec3(1.0) - kS;
+    kD *= 1.0 - metallic;
+
+    vec3 numerator    = NDF * G * F;
+    float denominator = 4.0 * max(dot(N, V), 0.0) * max(dot(N, L), 0.0);
+    vec3 specular     = numerator / max(denominator, 0.001);
+
+    float NdotL = max(dot(N, L), 0.0);
+    return (kD * albedo / PI + specular) * radiance * NdotL;
 }`;
 
 const PBR_VERTEX_MAIN = `
@@ -195,14 +232,17 @@ vec4 computeColor() {
   vec4 baseColor = baseColorFactor;
 #ifdef USE_BASE_COLOR_MAP
   vec4 baseColorMap = ${textureFunc('baseColorTexture', 'vTex')};
-  if (baseColorMap.a < 0.05) {
-    discard;
-  }
   baseColor *= baseColorMap;
 #endif
 #ifdef USE_VERTEX_COLOR
   baseColor *= vCol;
 #endif
+#ifdef ALPHA_MASK
+  if (baseColor.a < alphaCutoff) {
+    discard;
+  }
+  baseColor.a = 1.0;
+#endif
 
   vec3 albedo = baseColor.rgb; //pow(baseColor.rgb, 2.2);
 
@@ -230,32 +270,27 @@ vec4 computeColor() {
   // reflectance equation
   vec3 Lo = vec3(0.0);
 
-  for (int i = 0; i < lightCount; ++i) {
+  for (int i = 0; i < min(lightCount, LIGHT_COUNT); ++i) {
     // calculate per-light radiance
     vec3 L = normalize(lights[i].position.xyz - vWorldPos);
-    vec3 H = normalize(V + L);
     float distance    = length(lights[i].position.xyz - vWorldPos);
     float lightRange = lights[i].range;
     float attenuation = pow(clamp(1.0 - pow((distance / lightRange), 4.0), 0.0, 1.0), 2.0)/(1.0  + (distance * distance));
     //float attenuation = 1.0 / (1.0 + distance * distance);
+    if (lights[i].lightType == LightType_Spot) {
+      float cd = dot(normalize(lights[i].direction), -L);
+      float t = clamp((cd - lights[i].outerConeCos) / max(lights[i].innerConeCos - lights[i].outerConeCos, 0.0001), 0.0, 1.0);
+      attenuation *= t * t;
+    }
     vec3 radiance     = lights[i].color.rgb * attenuation;
 
-    // cook-torrance brdf
-    float NDF = DistributionGGX(N, H, roughness);
-    float G   = GeometrySmith(N, V, L, roughness);
-    vec3 F    = FresnelSchlick(max(dot(H, V), 0.0), F0);
-
-    vec3 kS = F;
-    vec3 kD = vec3(1.0) - kS;
-    kD *= 1.0 - metallic;
-
-    vec3 numerator    = NDF * G * F;
-    float denominator = 4.0 * max(dot(N, V), 0.0) * max(dot(N, L), 0.0);
-    vec3 specular     = numerator / max(denominator, 0.001);
-
     // add to outgoing radiance Lo
-    float NdotL = max(dot(N, L), 0.0);
-    Lo += (kD * albedo / PI + specular) * radiance * NdotL;
+    Lo += LightRadiance(L, radiance, N, V, F0, albedo, metallic, roughness);
+  }
+
+  for (int i = 0; i < directionalLightCount; ++i) {
+    vec3 L = normalize(-directionalLights[i].direction);
+    Lo += LightRadiance(L, directionalLights[i].color, N, V, F0, albedo, metallic, roughness);
   }
 
 #ifdef USE_OCCLUSION
@@ -344,6 +379,10 @@ export function GetDefinesForPrimitive(primitive) {
     }
   }
 
+  if (material.alphaMode == 'MASK') {
+    programDefines['ALPHA_MASK'] = 1;
+  }
+
   if ((!material.metallicRoughnessTexture ||
         !(attributes.has('TEXCOORD_0'))) &&
         material.metallicRoughnessFactor[1] == 1.0) {
@@ -18,7 +18,7 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
-import { Renderer } from '../renderer.js';
+import { Renderer, Light, LightManager, MAX_DIRECTIONAL_LIGHTS } from '../renderer.js';
 import { ShaderProgram } from './shader-program.js';
 import { WEBGL2_VERTEX_SOURCE, WEBGL2_FRAGMENT_SOURCE, ATTRIB_MAP, SAMPLER_MAP, UNIFORM_BLOCKS, GetDefinesForPrimitive } from './pbr-shader.js';
 import { vec2, vec3, vec4, mat4 } from '../third-party/gl-matrix/dist/esm/index.js';
@@ -57,6 +57,7 @@ const LightSprite = {
       vec2 outputSize;
       float zNear;
       float zFar;
+      uint projectionMode;
       mat4 viewMatrix;
       vec3 cameraPosition;
     };
@@ -65,11 +66,22 @@ const LightSprite = {
       vec3 position;
       float range;
       vec3 color;
+      uint lightType;
+      vec3 direction;
+      float outerConeCos;
+      float innerConeCos;
+    };
+
+    struct DirectionalLight {
+      vec3 direction;
+      vec3 color;
     };
 
     layout(std140) uniform LightUniforms {
       vec3 lightAmbient;
       int lightCount;
+      int directionalLightCount;
+      DirectionalLight directionalLights[${MAX_DIRECTIONAL_LIGHTS}];
       Light lights[${maxLights}];
     };
 
@@ -117,8 +129,8 @@ const LightSprite = {
 };
 
 export class WebGL2Renderer extends Renderer {
-  constructor() {
-    super();
+  constructor(options) {
+    super(options);
 
     const gl = this.gl = this.canvas.getContext('webgl2', {
       powerPreference: "high-performance"
@@ -129,6 +141,11 @@ export class WebGL2Renderer extends Renderer {
 
     this.textureLoader = new WebGLTextureLoader(gl);
 
+    // The light array has to fit in a single uniform block, which may not be large enough for all of the lights.
+    const maxBlockSize = gl.getParameter(gl.MAX_UNIFORM_BLOCK_SIZE);
+    const maxBlockLights = Math.floor((maxBlockSize - LightManager.lightsByteOffset) / Light.byteSize);
+    this.maxUniformLightCount = Math.min(this.lightManager.maxLightCount, maxBlockLights);
+
     this.programs = new Map();
 
     this.frameUniformBuffer = gl.createBuffer();
@@ -151,7 +168,7 @@ export class WebGL2Renderer extends Renderer {
     gl.bufferData(gl.ARRAY_BUFFER, LightSprite.vertexArray, gl.STATIC_DRAW);
 
     this.lightProgram = new ShaderProgram(gl, {
-      vertexSource: LightSprite.vertexSource(this.lightManager.lightCount),
+      vertexSource: LightSprite.vertexSource(this.maxUniformLightCount),
       fragmentSource: LightSprite.fragmentSource
     });
     gl.uniformBlockBinding(this.lightProgram.program, this.lightProgram.uniformBlock.LightUniforms, UNIFORM_BLOCKS.LightUniforms);
@@ -172,7 +189,9 @@ export class WebGL2Renderer extends Renderer {
     this.gl.viewport(0, 0, width, height);
   }
 
-  setGltf(gltf) {
+  setGltf(gltf, options) {
+    super.setGltf(gltf, options);
+
     const gl = this.gl;
     const resourcePromises = [];
 
@@ -240,12 +259,14 @@ export class WebGL2Renderer extends Renderer {
     const materialUniforms = new Float32Array(4 + 4 + 4 + 4);
     const baseColorFactor = new Float32Array(materialUniforms.buffer, 0, 4);
     const metallicRoughnessFactor = new Float32Array(materialUniforms.buffer, 4 * 4, 2);
+    const alphaCutoff = new Float32Array(materialUniforms.buffer, 6 * 4, 1);
     const emissiveFactor = new Float32Array(materialUniforms.buffer, 8 * 4, 3);
-    const occlusionStrength = new Float32Array(materialUniforms.buffer, 12 * 4, 1);
+    const occlusionStrength = new Float32Array(materialUniforms.buffer, 11 * 4, 1);
 
     for (let material of materials) {
       vec4.copy(baseColorFactor, material.baseColorFactor);
       vec2.copy(metallicRoughnessFactor, material.metallicRoughnessFactor);
+      alphaCutoff[0] = material.alphaCutoff;
       vec3.copy(emissiveFactor, material.emissiveFactor);
       occlusionStrength[0] = material.occlusionStrength;
 
@@ -260,7 +281,8 @@ export class WebGL2Renderer extends Renderer {
   initPrimitive(primitive) {
     const gl = this.gl;
     const defines = GetDefinesForPrimitive(primitive);
-    defines.LIGHT_COUNT = this.lightManager.lightCount;
+    defines.LIGHT_COUNT = this.maxUniformLightCount;
+    defines.MAX_DIRECTIONAL_LIGHTS = MAX_DIRECTIONAL_LIGHTS;
     const material = primitive.material;
 
     primitive.renderData.instances = [];
@@ -377,6 +399,10 @@ export class WebGL2Renderer extends Renderer {
       for (let attribName in bufferAttributes.attributes) {
         const attribute = bufferAttributes.attributes[attribName];
         const attribIndex = ATTRIB_MAP[attribName];
+        if (attribIndex === undefined) {
+          // Attributes like JOINTS_0/WEIGHTS_0 aren't used by this renderer.
+          continue;
+        }
         gl.enableVertexAttribArray(attribIndex);
         gl.vertexAttribPointer(
           attribIndex, attribute.componentCount, attribute.componentType,
@@ -427,7 +453,8 @@ export class WebGL2Renderer extends Renderer {
       gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
       gl.depthMask(false);
       gl.bindVertexArray(this.lightVertexArray);
-      gl.drawArraysInstanced(gl.TRIANGLES, 0, LightSprite.vertexCount, this.lightManager.lightCount);
+      const lightCount = Math.min(this.lightManager.lightCount, this.maxUniformLightCount);
+      gl.drawArraysInstanced(gl.TRIANGLES, 0, LightSprite.vertexCount, lightCount);
       gl.depthMask(true);
     }
   }
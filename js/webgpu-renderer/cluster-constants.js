@@ -0,0 +1,40 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+// Cluster values shared by the cluster shaders and the CPU reference in cluster-reference.js. Kept apart from the
+// shader sources so that the reference can be loaded without them.
+
+// Importance is measured at no less than this squared distance from the light, so that lights inside a cluster don't
+// all come out infinitely important.
+export const MIN_IMPORTANCE_SQ_DISTANCE = 0.0001;
+
+// Ways the cluster grid can be divided up along the view direction.
+export const DepthSlicing = {
+  Logarithmic: 'logarithmic', // Slices get exponentially deeper from zNear to zFar.
+  Linear: 'linear', // Every slice is the same depth.
+  Hybrid: 'hybrid', // A single slab from zNear to nearSlabDepth, then logarithmic. As described for Doom (2016).
+};
+
+// Order of the schemes in the ClusterSliceUniforms.
+export const DEPTH_SLICING_INDEX = {
+  [DepthSlicing.Logarithmic]: 0,
+  [DepthSlicing.Linear]: 1,
+  [DepthSlicing.Hybrid]: 2,
+};
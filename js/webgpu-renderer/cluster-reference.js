@@ -0,0 +1,288 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+// CPU reference implementation of ClusterBoundsSource and ClusterLightsSource. Mirrors the shader functions (down to
+// the names) and produces buffers in the same layout as the GPU, so the two can be compared with diffClusterBounds and
+// diffClusterLights. Only runs the plain path: active cluster culling leaves the inactive clusters untouched on the
+// GPU, so those results can't be reproduced here.
+
+import { DepthSlicing, DEPTH_SLICING_INDEX, MIN_IMPORTANCE_SQ_DISTANCE } from './cluster-constants.js';
+import { LightType, LightManager, Light, ProjectionMode } from '../renderer.js';
+import { vec3, vec4 } from '../third-party/gl-matrix/dist/esm/index.js';
+
+// Matches the ClusterBounds struct: minAABB and maxAABB, each padded out to a vec4.
+const CLUSTER_BOUNDS_FLOAT_SIZE = 8;
+
+// Matches the ClusterLightGroup struct: the index count, then an (offset, count) pair for every cluster.
+const CLUSTER_LIGHTS_HEADER_UINT_SIZE = 1;
+
+// Reads the frame uniform buffers (or Renderer.frameUniforms) into the values the cluster shaders use.
+export function parseProjectionUniforms(projectionArray) {
+  return {
+    inverseMatrix: projectionArray.subarray(16, 32),
+    outputSize: projectionArray.subarray(32, 34),
+    zNear: projectionArray[34],
+    zFar: projectionArray[35],
+    mode: new Uint32Array(projectionArray.buffer, projectionArray.byteOffset, 37)[36],
+  };
+}
+
+function getDepthSlicing(config, projection) {
+  return projection.mode == ProjectionMode.Orthographic ? DepthSlicing.Linear : config.depthSlicing;
+}
+
+function getSchemeSliceDepth(depthSlicing, sliceUniforms, slice, zNear) {
+  const scheme = DEPTH_SLICING_INDEX[depthSlicing];
+  const scale = sliceUniforms[scheme * 4];
+  const bias = sliceUniforms[scheme * 4 + 1];
+  if (depthSlicing == DepthSlicing.Linear) {
+    return (slice - bias) / scale;
+  }
+  if (depthSlicing == DepthSlicing.Hybrid && slice == 0) {
+    return zNear;
+  }
+  return Math.pow(2, (slice - bias) / scale);
+}
+
+function lineIntersectionToZPlane(a, b, zDistance) {
+  const ab = vec3.subtract(vec3.create(), b, a);
+  const t = (zDistance - a[2]) / ab[2];
+  return vec3.scaleAndAdd(vec3.create(), a, ab, t);
+}
+
+function screen2View(projection, screenX, screenY) {
+  const texCoordX = screenX / projection.outputSize[0];
+  const texCoordY = screenY / projection.outputSize[1];
+  const clip = vec4.fromValues(texCoordX * 2 - 1, (1 - texCoordY) * 2 - 1, 0, 1);
+  const view = vec4.transformMat4(vec4.create(), clip, projection.inverseMatrix);
+  return vec3.fromValues(view[0] / view[3], view[1] / view[3], view[2] / view[3]);
+}
+
+function tilePointAtDepth(projection, eyePos, point, zDistance) {
+  if (projection.mode == ProjectionMode.Orthographic) {
+    return vec3.fromValues(point[0], point[1], zDistance);
+  }
+  return lineIntersectionToZPlane(eyePos, point, zDistance);
+}
+
+// Returns a Float32Array laid out like the Clusters struct.
+export function computeClusterBounds(config, projection) {
+  const tileCount = config.tileCount;
+  const sliceUniforms = config.getSliceUniforms(projection.zNear, projection.zFar);
+  const tileSizeX = projection.outputSize[0] / tileCount[0];
+  const tileSizeY = projection.outputSize[1] / tileCount[1];
+  const eyePos = vec3.create();
+  const depthSlicing = getDepthSlicing(config, projection);
+
+  const bounds = new Float32Array(config.totalTiles * CLUSTER_BOUNDS_FLOAT_SIZE);
+  for (let z = 0; z < tileCount[2]; ++z) {
+    const tileNear = -getSchemeSliceDepth(depthSlicing, sliceUniforms, z, projection.zNear);
+    const tileFar = -getSchemeSliceDepth(depthSlicing, sliceUniforms, z + 1, projection.zNear);
+    for (let y = 0; y < tileCount[1]; ++y) {
+      for (let x = 0; x < tileCount[0]; ++x) {
+        const maxPoint_vS = screen2View(projection, (x + 1) * tileSizeX, (y + 1) * tileSizeY);
+        const minPoint_vS = screen2View(projection, x * tileSizeX, y * tileSizeY);
+
+        const points = [
+          tilePointAtDepth(projection, eyePos, minPoint_vS, tileNear),
+          tilePointAtDepth(projection, eyePos, minPoint_vS, tileFar),
+          tilePointAtDepth(projection, eyePos, maxPoint_vS, tileNear),
+          tilePointAtDepth(projection, eyePos, maxPoint_vS, tileFar),
+        ];
+
+        const offset = (x + y * tileCount[0] + z * tileCount[0] * tileCount[1]) * CLUSTER_BOUNDS_FLOAT_SIZE;
+        const minAABB = bounds.subarray(offset, offset + 3);
+        const maxAABB = bounds.subarray(offset + 4, offset + 7);
+        vec3.copy(minAABB, points[0]);
+        vec3.copy(maxAABB, points[0]);
+        for (const point of points) {
+          vec3.min(minAABB, minAABB, point);
+          vec3.max(maxAABB, maxAABB, point);
+        }
+      }
+    }
+  }
+  return bounds;
+}
+
+function sqDistPointAABB(point, minAABB, maxAABB) {
+  let sqDist = 0;
+  for (let i = 0; i < 3; ++i) {
+    const v = point[i];
+    if (v < minAABB[i]) {
+      sqDist += (minAABB[i] - v) * (minAABB[i] - v);
+    }
+    if (v > maxAABB[i]) {
+      sqDist += (v - maxAABB[i]) * (v - maxAABB[i]);
+    }
+  }
+  return sqDist;
+}
+
+function coneIntersectsAABB(lightViewPos, lightViewDir, range, outerConeCos, minAABB, maxAABB) {
+  const sphereCenter = vec3.scale(vec3.create(), vec3.add(vec3.create(), minAABB, maxAABB), 0.5);
+  const sphereRadius = vec3.distance(maxAABB, minAABB) * 0.5;
+
+  const v = vec3.subtract(vec3.create(), sphereCenter, lightViewPos);
+  const vLenSq = vec3.dot(v, v);
+  const v1Len = vec3.dot(v, lightViewDir);
+  const outerConeSin = Math.sqrt(Math.max(1 - outerConeCos * outerConeCos, 0));
+  const distanceClosestPoint = outerConeCos * Math.sqrt(Math.max(vLenSq - v1Len * v1Len, 0)) - v1Len * outerConeSin;
+
+  const angleCull = distanceClosestPoint > sphereRadius;
+  const frontCull = v1Len > sphereRadius + range;
+  const backCull = v1Len < -sphereRadius;
+  return !(angleCull || frontCull || backCull);
+}
+
+// Reads the lights out of an array laid out like GlobalLightUniforms (LightManager.uniformArray, or a copy of the
+// light buffer) and transforms them to view space.
+function getViewLights(lightArray, viewMatrix) {
+  const lightUints = new Uint32Array(lightArray.buffer, lightArray.byteOffset, lightArray.length);
+  const lightCount = lightUints[3];
+  const viewLights = [];
+  for (let i = 0; i < lightCount; ++i) {
+    const offset = LightManager.lightsByteOffset / 4 + Light.floatSize * i;
+    const light = {
+      position: vec3.transformMat4(vec3.create(), lightArray.subarray(offset, offset + 3), viewMatrix),
+      range: lightArray[offset + 3],
+      brightness: Math.max(lightArray[offset + 4], lightArray[offset + 5], lightArray[offset + 6]),
+      lightType: lightUints[offset + 7],
+      direction: null,
+      outerConeCos: lightArray[offset + 11],
+    };
+    if (light.lightType == LightType.Spot) {
+      const direction = vec4.fromValues(lightArray[offset + 8], lightArray[offset + 9], lightArray[offset + 10], 0);
+      vec4.transformMat4(direction, direction, viewMatrix);
+      light.direction = vec3.normalize(vec3.create(), direction);
+    }
+    viewLights.push(light);
+  }
+  return viewLights;
+}
+
+function lightAffectsCluster(light, minAABB, maxAABB) {
+  if (light.range <= 0) {
+    return false;
+  }
+  if (sqDistPointAABB(light.position, minAABB, maxAABB) > light.range * light.range) {
+    return false;
+  }
+  if (light.lightType == LightType.Spot) {
+    return coneIntersectsAABB(light.position, light.direction, light.range, light.outerConeCos, minAABB, maxAABB);
+  }
+  return true;
+}
+
+function lightImportance(light, minAABB, maxAABB) {
+  const sqDist = Math.max(sqDistPointAABB(light.position, minAABB, maxAABB), MIN_IMPORTANCE_SQ_DISTANCE);
+  const sqRangeRatio = sqDist / (light.range * light.range);
+  const attenuation = Math.min(Math.max(1 - sqRangeRatio * sqRangeRatio, 0), 1) / sqDist;
+  return light.brightness * attenuation;
+}
+
+// Returns a Uint32Array laid out like the ClusterLightGroup struct, with room for lightIndexCapacity indices. Lights
+// that don't fit are dropped the same way assignLights drops them. The most important lights are kept in index order
+// rather than the order the GPU leaves them in, since the light lists are compared as sets.
+export function computeClusterLights(config, bounds, viewMatrix, lightArray, lightIndexCapacity,
+                                     importanceSelection = false) {
+  const totalTiles = config.totalTiles;
+  const viewLights = getViewLights(lightArray, viewMatrix);
+  const selectByImportance = importanceSelection && config.maxLightsPerCluster > 0;
+
+  const clusterLights = new Uint32Array(CLUSTER_LIGHTS_HEADER_UINT_SIZE + totalTiles * 2 + lightIndexCapacity);
+  const indices = clusterLights.subarray(CLUSTER_LIGHTS_HEADER_UINT_SIZE + totalTiles * 2);
+
+  let offset = 0;
+  for (let tileIndex = 0; tileIndex < totalTiles; ++tileIndex) {
+    const minAABB = bounds.subarray(tileIndex * CLUSTER_BOUNDS_FLOAT_SIZE, tileIndex * CLUSTER_BOUNDS_FLOAT_SIZE + 3);
+    const maxAABB = bounds.subarray(tileIndex * CLUSTER_BOUNDS_FLOAT_SIZE + 4, tileIndex * CLUSTER_BOUNDS_FLOAT_SIZE + 7);
+
+    let clusterLightIndices = [];
+    for (let i = 0; i < viewLights.length; ++i) {
+      if (lightAffectsCluster(viewLights[i], minAABB, maxAABB)) {
+        clusterLightIndices.push(i);
+      }
+    }
+
+    const requestedLightCount = clusterLightIndices.length;
+    const reservedLightCount = config.maxLightsPerCluster ?
+        Math.min(requestedLightCount, config.maxLightsPerCluster) : requestedLightCount;
+    const maxLightCount = Math.min(reservedLightCount, Math.max(lightIndexCapacity - offset, 0));
+    if (selectByImportance && maxLightCount < requestedLightCount) {
+      const importance = new Map(clusterLightIndices.map((i) => [i, lightImportance(viewLights[i], minAABB, maxAABB)]));
+      clusterLightIndices = clusterLightIndices.slice().sort((a, b) => importance.get(b) - importance.get(a))
+          .slice(0, maxLightCount).sort((a, b) => a - b);
+    }
+    const clusterLightCount = Math.min(clusterLightIndices.length, maxLightCount);
+    if (clusterLightCount) {
+      indices.set(clusterLightIndices.slice(0, clusterLightCount), offset);
+    }
+
+    clusterLights[CLUSTER_LIGHTS_HEADER_UINT_SIZE + tileIndex * 2] = offset;
+    clusterLights[CLUSTER_LIGHTS_HEADER_UINT_SIZE + tileIndex * 2 + 1] = clusterLightCount;
+    offset += reservedLightCount;
+  }
+  clusterLights[0] = offset;
+
+  return clusterLights;
+}
+
+// Returns the indices of the clusters whose bounds differ by more than the tolerance, relative to the size of the
+// expected bounds.
+export function diffClusterBounds(expected, actual, tolerance = 1e-4) {
+  const mismatches = [];
+  for (let i = 0; i < expected.length / CLUSTER_BOUNDS_FLOAT_SIZE; ++i) {
+    for (const component of [0, 1, 2, 4, 5, 6]) {
+      const offset = i * CLUSTER_BOUNDS_FLOAT_SIZE + component;
+      const scale = Math.max(Math.abs(expected[offset]), 1);
+      if (Math.abs(expected[offset] - actual[offset]) > tolerance * scale) {
+        mismatches.push(i);
+        break;
+      }
+    }
+  }
+  return mismatches;
+}
+
+// Compares the light list of every cluster. The offsets only have to agree on the total, since they follow from the
+// counts. Lights right on the edge of a cluster can land on either side depending on float precision, so a handful
+// of mismatches isn't necessarily a bug.
+export function diffClusterLights(expected, actual, totalTiles) {
+  const result = {
+    expectedIndexCount: expected[0],
+    actualIndexCount: actual[0],
+    mismatchedClusters: [],
+  };
+
+  const indexStart = CLUSTER_LIGHTS_HEADER_UINT_SIZE + totalTiles * 2;
+  for (let tileIndex = 0; tileIndex < totalTiles; ++tileIndex) {
+    const header = CLUSTER_LIGHTS_HEADER_UINT_SIZE + tileIndex * 2;
+    const expectedLights = expected.subarray(indexStart + expected[header], indexStart + expected[header] + expected[header + 1]);
+    const actualLights = actual.subarray(indexStart + actual[header], indexStart + actual[header] + actual[header + 1]);
+
+    const missing = Array.from(expectedLights).filter((i) => !actualLights.includes(i));
+    const extra = Array.from(actualLights).filter((i) => !expectedLights.includes(i));
+    if (missing.length || extra.length) {
+      result.mismatchedClusters.push({ tileIndex, missing, extra });
+    }
+  }
+  return result;
+}
@@ -20,7 +20,10 @@
 
 import { RenderBundleHelper } from './render-bundle-helper.js';
 import { ProjectionUniforms, ViewUniforms, ModelUniforms, ATTRIB_MAP } from './shaders/common.js';
-import { TileFunctions, ClusterStructs, ClusterLightsStructs, MAX_LIGHTS_PER_CLUSTER } from './shaders/clustered-compute.js';
+import { TileFunctions, ClusterStructs, ClusterLightsStructs, ClusterOverflowStructs } from './shaders/clustered-compute.js';
+
+// Number of lights in a cluster at which LightsPerClusterVisualization shows full red.
+const LIGHTS_PER_CLUSTER_SCALE = 100;
 
 /**
  * Visualizes simple depth info as greyscale range.
@@ -35,12 +38,14 @@ export class DepthVisualization extends RenderBundleHelper {
 }
 
 /**
- * visualizes which depth slice a given fragment would be assigned to.
+ * visualizes which depth slice a given fragment would be assigned to. The screen is split into three columns to compare
+ * the slicing schemes: logarithmic, linear, and hybrid from left to right. The scheme the cluster grid is currently
+ * using is drawn at full brightness.
  */
 export class DepthSliceVisualization extends RenderBundleHelper {
   getFragmentSource(defines) { return `
     ${ProjectionUniforms}
-    ${TileFunctions}
+    ${TileFunctions(this.renderer.clusterConfig)}
 
     var<private> colorSet : array<vec3<f32>, 9> = array<vec3<f32>, 9>(
       vec3<f32>(1.0, 0.0, 0.0),
@@ -56,8 +61,20 @@ export class DepthSliceVisualization extends RenderBundleHelper {
 
     @fragment
     fn main(@builtin(position) fragCoord : vec4<f32>) -> @location(0) vec4<f32> {
-      var tile : vec3<u32> = getTile(fragCoord);
-      return vec4<f32>(colorSet[tile.z % 9u], 1.0);
+      let columnWidth = projection.outputSize.x / 3.0;
+      let scheme = min(u32(fragCoord.x / columnWidth), 2u);
+
+      // Dividing lines between the columns.
+      if (abs(fragCoord.x - f32(scheme) * columnWidth) < 1.0) {
+        return vec4<f32>(1.0, 1.0, 1.0, 1.0);
+      }
+
+      let slice = u32(max(getSchemeDepthSlice(scheme, linearDepth(fragCoord.z)), 0.0));
+      var color = colorSet[slice % 9u];
+      if (scheme != depthSlicing) {
+        color = color * 0.4;
+      }
+      return vec4<f32>(color, 1.0);
     }
   `; }
 }
@@ -88,9 +105,9 @@ export class ClusterDistanceVisualization extends RenderBundleHelper {
     };
 
     @vertex
-    fn main(@location(${ATTRIB_MAP.POSITION}) inPosition : vec3<f32>) -> VertexOutput {
+    fn main(@location(${ATTRIB_MAP.POSITION}) inPosition : vec3<${defines.POSITION_TYPE || 'f32'}>) -> VertexOutput {
       var output : VertexOutput;
-      output.viewPosition = view.matrix * model.matrix * vec4<f32>(inPosition, 1.0);
+      output.viewPosition = view.matrix * model.matrix * vec4<f32>(vec3<f32>(inPosition), 1.0);
       output.position = projection.matrix * output.viewPosition;
       return output;
     }
@@ -98,9 +115,9 @@ export class ClusterDistanceVisualization extends RenderBundleHelper {
 
   getFragmentSource(defines) { return `
     ${ProjectionUniforms}
-    ${TileFunctions}
+    ${TileFunctions(this.renderer.clusterConfig)}
 
-    ${ClusterStructs}
+    ${ClusterStructs(this.renderer.clusterConfig)}
     @group(3) @binding(0) var<storage, read> clusters : Clusters;
 
     struct FragmentInput {
@@ -140,15 +157,40 @@ export class LightsPerClusterVisualization extends RenderBundleHelper {
 
   getFragmentSource(defines) { return `
     ${ProjectionUniforms}
-    ${TileFunctions}
-    ${ClusterLightsStructs}
+    ${TileFunctions(this.renderer.clusterConfig)}
+    ${ClusterLightsStructs(this.renderer.clusterConfig)}
 
     @fragment
     fn main(@builtin(position) fragCoord : vec4<f32>) -> @location(0) vec4<f32>{
       let clusterIndex : u32 = getClusterIndex(fragCoord);
       let lightCount : u32 = clusterLights.lights[clusterIndex].count;
-      let lightFactor : f32 = f32(lightCount) / f32(${MAX_LIGHTS_PER_CLUSTER});
+      let lightFactor : f32 = f32(lightCount) / f32(${LIGHTS_PER_CLUSTER_SCALE});
       return mix(vec4<f32>(0.0, 0.0, 1.0, 1.0), vec4<f32>(1.0, 0.0, 0.0, 1.0), vec4<f32>(lightFactor, lightFactor, lightFactor, lightFactor));
     }
   `; }
 }
+
+/**
+ * Highlights clusters that had more lights touching them than could fit in the light index list. Overflowing clusters
+ * are drawn in yellow through red depending on the fraction of their lights that were dropped, the rest are a dim blue.
+ */
+export class ClusterOverflowVisualization extends RenderBundleHelper {
+  getFragmentSource(defines) { return `
+    ${ProjectionUniforms}
+    ${TileFunctions(this.renderer.clusterConfig)}
+    ${ClusterLightsStructs(this.renderer.clusterConfig)}
+    ${ClusterOverflowStructs(this.renderer.clusterConfig)}
+
+    @fragment
+    fn main(@builtin(position) fragCoord : vec4<f32>) -> @location(0) vec4<f32>{
+      let clusterIndex : u32 = getClusterIndex(fragCoord);
+      let rejectedLights : u32 = clusterOverflow.rejectedLights[clusterIndex];
+      if (rejectedLights == 0u) {
+        return vec4<f32>(0.0, 0.0, 0.2, 1.0);
+      }
+      let assignedLights : u32 = clusterLights.lights[clusterIndex].count;
+      let overflowFactor : f32 = f32(rejectedLights) / f32(rejectedLights + assignedLights);
+      return vec4<f32>(1.0, 1.0 - overflowFactor, 0.0, 1.0);
+    }
+  `; }
+}
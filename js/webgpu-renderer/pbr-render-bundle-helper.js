@@ -19,7 +19,10 @@
 // SOFTWARE.
 
 import { RenderBundleHelper } from './render-bundle-helper.js';
-import { PBRVertexSource, PBRFragmentSource, PBRClusteredFragmentSource } from './shaders/pbr.js';
+import { BIND_GROUP } from './shaders/common.js';
+import { PBRVertexSource, PBRFragmentSource, PBRClusteredFragmentSource, PBRTiledFragmentSource, PBRDepthPrepassFragmentSource,
+         PBRGBufferFragmentSource, FullscreenVertexSource, PBRClusteredDeferredFragmentSource,
+         PBRClusteredMaskFragmentSource } from './shaders/pbr.js';
 
 export class PBRRenderBundleHelper extends RenderBundleHelper {
   constructor(renderer) {
@@ -29,12 +32,27 @@ export class PBRRenderBundleHelper extends RenderBundleHelper {
   getDefinesForPrimitive(primitive) {
     const attributes = primitive.enabledAttributes;
     const material = primitive.material;
-    const programDefines = {};
+    const programDefines = super.getDefinesForPrimitive(primitive);
 
     if (attributes.has('COLOR_0')) {
       programDefines['USE_VERTEX_COLOR'] = 1;
     }
 
+    if (primitive.renderData.skin && attributes.has('JOINTS_0') && attributes.has('WEIGHTS_0')) {
+      programDefines['USE_SKINNING'] = 1;
+    }
+
+    if (primitive.targets.length) {
+      programDefines['USE_MORPH_TARGETS'] = 1;
+    }
+
+    if (material.alphaMode == 'MASK') {
+      programDefines['ALPHA_MASK'] = 1;
+      if (this.renderer.alphaToCoverage && this.renderBundleDescriptor.sampleCount > 1) {
+        programDefines['ALPHA_TO_COVERAGE'] = 1;
+      }
+    }
+
     if (attributes.has('TEXCOORD_0')) {
       if (material.baseColorTexture) {
         programDefines['USE_BASE_COLOR_MAP'] = 1;
@@ -71,5 +89,181 @@ export class PBRRenderBundleHelper extends RenderBundleHelper {
 }
 
 export class PBRClusteredRenderBundleHelper extends PBRRenderBundleHelper {
-  getFragmentSource(defines) { return PBRClusteredFragmentSource(defines); }
+  getFragmentSource(defines) { return PBRClusteredFragmentSource(defines, this.renderer.clusterConfig); }
+}
+
+export class PBRTiledRenderBundleHelper extends PBRRenderBundleHelper {
+  createPipelineLayout(bindGroupLayouts) {
+    return this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        bindGroupLayouts.frame,
+        bindGroupLayouts.material,
+        bindGroupLayouts.primitive,
+        bindGroupLayouts.tileLights,
+      ]
+    });
+  }
+
+  getFragmentSource(defines) { return PBRTiledFragmentSource(defines); }
+
+  setFrameBindGroups(renderBundleEncoder) {
+    super.setFrameBindGroups(renderBundleEncoder);
+    renderBundleEncoder.setBindGroup(3, this.renderer.getTiledLights().bindGroup);
+  }
+}
+
+// Clustered forward shading using the bitmask cluster storage built by computeClusterMasks.
+export class PBRClusteredMaskRenderBundleHelper extends PBRRenderBundleHelper {
+  constructor(renderer, zBinning = false) {
+    super(renderer);
+    this.clusterMasks = renderer.getClusterMasks(zBinning);
+  }
+
+  createPipelineLayout(bindGroupLayouts) {
+    return this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        bindGroupLayouts.frame,
+        bindGroupLayouts.material,
+        bindGroupLayouts.primitive,
+        bindGroupLayouts.clusterMasks,
+      ]
+    });
+  }
+
+  getFragmentSource(defines) { return PBRClusteredMaskFragmentSource(defines, this.clusterMasks.layout); }
+
+  setFrameBindGroups(renderBundleEncoder) {
+    super.setFrameBindGroups(renderBundleEncoder);
+    renderBundleEncoder.setBindGroup(3, this.clusterMasks.bindGroup);
+  }
+}
+
+export class PBRClusteredZBinRenderBundleHelper extends PBRClusteredMaskRenderBundleHelper {
+  constructor(renderer) {
+    super(renderer, true);
+  }
+}
+
+// Writes the depth of the opaque and alpha masked primitives, without any color output. Used to find which clusters
+// contain visible geometry.
+export class DepthPrepassRenderBundleHelper extends PBRRenderBundleHelper {
+  constructor(renderer) {
+    super(renderer);
+    this.renderBundleDescriptor = renderer.depthPrepassBundleDescriptor;
+  }
+
+  getFragmentSource(defines) {
+    return defines.ALPHA_MASK ? PBRDepthPrepassFragmentSource(defines) : null;
+  }
+
+  createRenderBundle(primitives) {
+    // Blended primitives don't hide anything behind them, so they're left out.
+    return super.createRenderBundle(primitives.filter((primitive) => !primitive.material.blend));
+  }
+}
+
+// Writes the depth of the opaque and alpha masked primitives into one cascade of the shadow map. In place of the frame
+// bind group each cascade binds its own light space projection, so one render bundle is made per cascade.
+export class ShadowMapRenderBundleHelper extends PBRRenderBundleHelper {
+  constructor(renderer) {
+    super(renderer);
+    this.renderBundleDescriptor = renderer.shadowMapBundleDescriptor;
+    this.cascadeBindGroup = null;
+  }
+
+  createPipelineLayout(bindGroupLayouts) {
+    return this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        bindGroupLayouts.shadowCascade,
+        bindGroupLayouts.material,
+        bindGroupLayouts.primitive,
+      ]
+    });
+  }
+
+  getFragmentSource(defines) {
+    return defines.ALPHA_MASK ? PBRDepthPrepassFragmentSource(defines) : null;
+  }
+
+  setFrameBindGroups(renderBundleEncoder) {
+    renderBundleEncoder.setBindGroup(BIND_GROUP.Frame, this.cascadeBindGroup);
+  }
+
+  // Returns a render bundle for each of the given cascade bind groups. They share pipelines, so it's cheaper than
+  // using a new helper for each.
+  createCascadeRenderBundles(primitives, cascadeBindGroups) {
+    // Blended primitives don't cast shadows.
+    const casters = primitives.filter((primitive) => !primitive.material.blend);
+    return cascadeBindGroups.map((bindGroup) => {
+      this.cascadeBindGroup = bindGroup;
+      return this.createRenderBundle(casters);
+    });
+  }
+}
+
+// Writes the surface properties of the opaque and alpha masked primitives into the G-buffer.
+export class GBufferRenderBundleHelper extends PBRRenderBundleHelper {
+  constructor(renderer) {
+    super(renderer);
+    this.renderBundleDescriptor = renderer.gBufferBundleDescriptor;
+  }
+
+  getFragmentSource(defines) { return PBRGBufferFragmentSource(defines); }
+
+  createRenderBundle(primitives) {
+    // Blended primitives can't be stored in the G-buffer, they're drawn forward after lighting instead.
+    return super.createRenderBundle(primitives.filter((primitive) => !primitive.material.blend));
+  }
+}
+
+// Lights the G-buffer with a single full screen draw, then draws the blended primitives on top of it with clustered
+// forward shading. The G-buffer itself is filled by GBufferRenderBundleHelper each frame.
+export class PBRClusteredDeferredRenderBundleHelper extends PBRClusteredRenderBundleHelper {
+  createLightingPipeline() {
+    const clusterConfig = this.renderer.clusterConfig;
+    return this.device.createRenderPipeline({
+      label: `clustered-deferred-lighting-pipeline`,
+      layout: this.device.createPipelineLayout({
+        bindGroupLayouts: [
+          this.renderer.bindGroupLayouts.frame, // set 0
+          this.renderer.bindGroupLayouts.gBuffer, // set 1
+        ]
+      }),
+      vertex: {
+        module: this.device.createShaderModule({ code: FullscreenVertexSource, label: 'Fullscreen' }),
+        entryPoint: 'main'
+      },
+      fragment: {
+        module: this.device.createShaderModule({
+          code: PBRClusteredDeferredFragmentSource(clusterConfig),
+          label: 'Clustered Deferred Lighting'
+        }),
+        entryPoint: 'main',
+        targets: this.renderBundleDescriptor.colorFormats.map((format) => ({ format })),
+      },
+      depthStencil: {
+        // The lighting pass writes the G-buffer depth, which the blended primitives are then tested against.
+        format: this.renderBundleDescriptor.depthStencilFormat,
+        depthWriteEnabled: true,
+        depthCompare: 'always',
+      },
+      multisample: {
+        count: this.renderBundleDescriptor.sampleCount,
+      }
+    });
+  }
+
+  createRenderBundle(primitives) {
+    const renderBundleEncoder = this.device.createRenderBundleEncoder(this.renderBundleDescriptor);
+
+    this.setFrameBindGroups(renderBundleEncoder);
+
+    renderBundleEncoder.setPipeline(this.createLightingPipeline());
+    renderBundleEncoder.setBindGroup(1, this.renderer.getGBuffer().bindGroup);
+    renderBundleEncoder.draw(3);
+
+    this.encodePrimitives(renderBundleEncoder, primitives.filter((primitive) => primitive.material.blend));
+
+    return renderBundleEncoder.finish();
+  }
 }
\ No newline at end of file
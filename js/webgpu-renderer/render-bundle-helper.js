@@ -47,19 +47,30 @@ export class RenderBundleHelper {
   }
 
   getDefinesForPrimitive(primitive) {
-    return {}; // Override per-technique
+    // Override per-technique, but call the base implementation.
+    const programDefines = {};
+
+    // KHR_mesh_quantization allows positions and texture coordinates to be stored as (non-normalized) integers, which
+    // the vertex shader has to declare with a matching type.
+    for (const name of ['POSITION', 'TEXCOORD_0']) {
+      const attribute = primitive.getAttribute(name);
+      if (attribute && attribute.gpuShaderScalarType != 'f32') {
+        programDefines[`${name}_TYPE`] = attribute.gpuShaderScalarType;
+      }
+    }
+
+    return programDefines;
   }
 
   getVertexSource(defines) {
-    return SimpleVertexSource; // Override per-technique
+    return SimpleVertexSource(defines); // Override per-technique
   }
 
   getFragmentSource(defines) {
     return null; // Override per-technique
   }
 
-  getShaderModules(primitive) {
-    const programDefines = this.getDefinesForPrimitive(primitive);
+  getShaderModules(programDefines) {
     let shaderModuleKey = '';
     for (let define in programDefines) {
       shaderModuleKey += `${define}=${programDefines[define]},`;
@@ -84,7 +95,8 @@ export class RenderBundleHelper {
 
   getPrimitivePipeline(primitive) {
     const material = primitive.material;
-    const shaderModule = this.getShaderModules(primitive);
+    const programDefines = this.getDefinesForPrimitive(primitive);
+    const shaderModule = this.getShaderModules(programDefines);
     const pipelineDescriptor = primitive.getPartialRenderPipelineDescriptor(ATTRIB_MAP);
 
     const colorBlend = {};
@@ -96,13 +108,14 @@ export class RenderBundleHelper {
     pipelineDescriptor.vertex.module = shaderModule.vertex;
     pipelineDescriptor.vertex.entryPoint = "main";
 
+    // Depth only techniques may leave out the fragment shader entirely.
     Object.assign(pipelineDescriptor, {
       layout: this.pipelineLayout,
-      fragment: {
+      fragment: shaderModule.fragment ? {
         module: shaderModule.fragment,
         entryPoint: "main",
-        targets: [{
-          format: this.renderBundleDescriptor.colorFormats[0],
+        targets: this.renderBundleDescriptor.colorFormats.map((format) => ({
+          format,
           blend: {
             color: colorBlend,
             alpha: {
@@ -110,15 +123,16 @@ export class RenderBundleHelper {
               dstFactor: "one",
             }
           },
-        }]
-      },
+        }))
+      } : undefined,
       depthStencil: {
         format: this.renderBundleDescriptor.depthStencilFormat,
         depthWriteEnabled: true,
         depthCompare: 'less',
       },
       multisample: {
-        count: this.renderBundleDescriptor.sampleCount
+        count: this.renderBundleDescriptor.sampleCount,
+        alphaToCoverageEnabled: !!programDefines.ALPHA_TO_COVERAGE,
       }
     });
 
@@ -133,7 +147,18 @@ export class RenderBundleHelper {
     // Generate a render bundle that draws all the given primitives with the specified technique.
     // The sort up front is a bit heavy, but that's OK because the end result is a render bundle
     // will excute very quickly.
+    const renderBundleEncoder = this.device.createRenderBundleEncoder(this.renderBundleDescriptor);
+
+    this.setFrameBindGroups(renderBundleEncoder);
+    this.encodePrimitives(renderBundleEncoder, primitives);
+
+    return renderBundleEncoder.finish();
+  }
+
+  // Records draws for the given primitives, sorted by pipeline and material, into a render bundle encoder.
+  encodePrimitives(renderBundleEncoder, primitives) {
     const opaquePipelines = new Map(); // Map<id -> CachedPipeline>;
+    const maskedPipelines = new Map(); // Map<id -> CachedPipeline>;
     const blendedPipelines = new Map(); // Map<id -> CachedPipeline>;
     const pipelineMaterials = new Map(); // WeakMap<id -> Map<Material -> Primitive[]>>
 
@@ -142,6 +167,8 @@ export class RenderBundleHelper {
 
       if (primitive.material.blend) {
         blendedPipelines.set(pipeline.renderPipelineCacheHash, pipeline);
+      } else if (primitive.material.alphaMode == 'MASK') {
+        maskedPipelines.set(pipeline.renderPipelineCacheHash, pipeline);
       } else {
         opaquePipelines.set(pipeline.renderPipelineCacheHash, pipeline);
       }
@@ -163,24 +190,24 @@ export class RenderBundleHelper {
       materialPrimitives.push(primitive);
     }
 
-    // Create a bundle we can use to replay our scene drawing each frame
-    const renderBundleEncoder = this.device.createRenderBundleEncoder(this.renderBundleDescriptor);
-
-    this.setFrameBindGroups(renderBundleEncoder);
-
     // Opaque primitives first
     for (let pipeline of opaquePipelines.values()) {
       const materialPrimitives = pipelineMaterials.get(pipeline);
       this.drawPipelinePrimitives(renderBundleEncoder, pipeline, materialPrimitives);
     }
 
+    // Alpha tested primitives are drawn with the opaque ones, but after them so that as much as possible of what
+    // they cover has already been rejected by the depth test.
+    for (let pipeline of maskedPipelines.values()) {
+      const materialPrimitives = pipelineMaterials.get(pipeline);
+      this.drawPipelinePrimitives(renderBundleEncoder, pipeline, materialPrimitives);
+    }
+
     // Blended primitives next
     for (let pipeline of blendedPipelines.values()) {
       const materialPrimitives = pipelineMaterials.get(pipeline);
       this.drawPipelinePrimitives(renderBundleEncoder, pipeline, materialPrimitives);
     }
-
-    return renderBundleEncoder.finish();
   }
 
   drawPipelinePrimitives(encoder, pipeline, materialPrimitives) {
@@ -21,34 +21,282 @@
 // Lots of this is ported or otherwise influenced by http://www.aortiz.me/2018/12/21/CG.html and
 // https://github.com/Angelo1211/HybridRenderingEngine
 
+import { wgsl } from '../wgsl-debug-helper.js';
 import { ProjectionUniforms, ViewUniforms, LightUniforms, BIND_GROUP } from './common.js';
+import { DepthSlicing, DEPTH_SLICING_INDEX, MIN_IMPORTANCE_SQ_DISTANCE } from '../cluster-constants.js';
 
-export const TILE_COUNT = [32, 18, 48];
-export const TOTAL_TILES = TILE_COUNT[0] * TILE_COUNT[1] * TILE_COUNT[2];
+export { DepthSlicing, DEPTH_SLICING_INDEX, MIN_IMPORTANCE_SQ_DISTANCE };
 
 const WORKGROUP_SIZE = [4, 2, 4];
-export const DISPATCH_SIZE = [
-  Math.ceil(TILE_COUNT[0] / WORKGROUP_SIZE[0]),
-  Math.ceil(TILE_COUNT[1] / WORKGROUP_SIZE[1]),
-  Math.ceil(TILE_COUNT[2] / WORKGROUP_SIZE[2])]
 
-// Each cluster tracks up to MAX_LIGHTS_PER_CLUSTER light indices (ints) and one light count.
-// This limitation should be able to go away when we have atomic methods in WGSL.
-export const MAX_LIGHTS_PER_CLUSTER = 100;
-export const CLUSTER_LIGHTS_SIZE = (8 * TOTAL_TILES) + (4 * MAX_LIGHTS_PER_CLUSTER * TOTAL_TILES) + 4;
+// Number of clusters handled by each workgroup of the prefix sum passes.
+const SCAN_WORKGROUP_SIZE = 256;
 
-export const TileFunctions = `
-const tileCount : vec3<u32> = vec3<u32>(${TILE_COUNT[0]}u, ${TILE_COUNT[1]}u, ${TILE_COUNT[2]}u);
+// Workgroup sizes for marking clusters from the depth prepass (in pixels) and for the passes that walk over the list of
+// active clusters.
+const MARK_WORKGROUP_SIZE = [8, 8];
+const ACTIVE_CLUSTER_WORKGROUP_SIZE = 64;
 
-fn linearDepth(depthSample : f32) -> f32 {
-  return projection.zFar*projection.zNear / fma(depthSample, projection.zNear-projection.zFar, projection.zFar);
+// Number of z slices handled by each workgroup of the z-bin pass.
+const ZBIN_WORKGROUP_SIZE = 64;
+
+// Each node of the light hierarchy bounds this many lights (leaves) or leaves (roots).
+const LIGHT_NODE_WIDTH = 32;
+const LIGHT_HIERARCHY_WORKGROUP_SIZE = 64;
+
+// The bitmask outputs only cover this many lights, to keep the masks a reasonable size when the light manager has room
+// for a lot more.
+const MAX_MASK_LIGHT_COUNT = 4096;
+
+// Number of lights transformed to view space and shared across the workgroup at a time by the batched light passes.
+const LIGHT_BATCH_SIZE = 64;
+
+// The light index list starts out with room for this many lights per cluster on average, and grows from there if
+// needed.
+const INITIAL_LIGHTS_PER_CLUSTER = 16;
+
+// Size of the aggregate counters at the start of the ClusterOverflow struct.
+export const CLUSTER_OVERFLOW_HEADER_SIZE = 8;
+
+// Matches the ClusterSliceUniforms struct below.
+export const ClusterSliceUniformsSize = 48;
+
+/**
+ * ClusterConfig
+ * Describes the dimensions of the cluster grid and how it's sliced along the view direction. These get baked into the
+ * cluster shaders and buffer sizes, so anything built from a config has to be recreated when the config changes.
+ */
+export class ClusterConfig {
+  constructor(options = {}) {
+    this.tileCount = options.tileCount ? options.tileCount.slice() : [32, 18, 48];
+    this.depthSlicing = options.depthSlicing || DepthSlicing.Logarithmic;
+    this.nearSlabDepth = options.nearSlabDepth || 5.0;
+    // Most lights any one cluster can store. 0 means no limit beyond the size of the light index list.
+    this.maxLightsPerCluster = options.maxLightsPerCluster || 0;
+
+    if (!(this.depthSlicing in DEPTH_SLICING_INDEX)) {
+      throw new Error(`Unknown depth slicing scheme: ${this.depthSlicing}`);
+    }
+    // The near slab takes up a slice of its own, leaving nothing for the rest of the range.
+    if (this.depthSlicing == DepthSlicing.Hybrid && this.tileCount[2] < 2) {
+      this.depthSlicing = DepthSlicing.Logarithmic;
+    }
+  }
+
+  // Returns the scale and bias that map view space depth to a depth slice for every slicing scheme (not just this
+  // config's), packed to match ClusterSliceUniforms. Having the rest lets the depth slice visualization compare them.
+  getSliceUniforms(zNear, zFar, out = new Float32Array(ClusterSliceUniformsSize / 4)) {
+    const sliceCount = this.tileCount[2];
+
+    // Logarithmic: slice = log2(depth) * scale + bias
+    const logScale = sliceCount / Math.log2(zFar / zNear);
+    out.set([logScale, -logScale * Math.log2(zNear), 0, 0], DEPTH_SLICING_INDEX[DepthSlicing.Logarithmic] * 4);
+
+    // Linear: slice = depth * scale + bias
+    const linearScale = sliceCount / (zFar - zNear);
+    out.set([linearScale, -linearScale * zNear, 0, 0], DEPTH_SLICING_INDEX[DepthSlicing.Linear] * 4);
+
+    // Hybrid: slice = 0 inside the near slab, otherwise log2(depth) * scale + bias with the remaining slices starting
+    // at 1.
+    const nearSlabDepth = Math.min(Math.max(this.nearSlabDepth, zNear), zFar * 0.5);
+    const hybridScale = Math.max(sliceCount - 1, 1) / Math.log2(zFar / nearSlabDepth);
+    out.set([hybridScale, 1 - hybridScale * Math.log2(nearSlabDepth), nearSlabDepth, 0],
+        DEPTH_SLICING_INDEX[DepthSlicing.Hybrid] * 4);
+
+    return out;
+  }
+
+  get totalTiles() {
+    return this.tileCount[0] * this.tileCount[1] * this.tileCount[2];
+  }
+
+  get dispatchSize() {
+    return [
+      Math.ceil(this.tileCount[0] / WORKGROUP_SIZE[0]),
+      Math.ceil(this.tileCount[1] / WORKGROUP_SIZE[1]),
+      Math.ceil(this.tileCount[2] / WORKGROUP_SIZE[2])];
+  }
+
+  // Number of workgroups dispatched by the first and last prefix sum passes.
+  get scanBlockCount() {
+    return Math.ceil(this.totalTiles / SCAN_WORKGROUP_SIZE);
+  }
+
+  // Number of workgroups dispatched by the pass that compacts the marked clusters into the active cluster list.
+  get compactDispatchSize() {
+    return Math.ceil(this.totalTiles / ACTIVE_CLUSTER_WORKGROUP_SIZE);
+  }
+
+  getMarkClustersDispatchSize(width, height) {
+    return [Math.ceil(width / MARK_WORKGROUP_SIZE[0]), Math.ceil(height / MARK_WORKGROUP_SIZE[1])];
+  }
+
+  get clusterBoundsSize() {
+    return this.totalTiles * 32; // Cluster x, y, z size * 32 bytes per cluster.
+  }
+
+  // Size of the ClusterLightGroup struct, not including the light indices.
+  get clusterLightsHeaderSize() {
+    return 4 + (8 * this.totalTiles);
+  }
+
+  get initialLightIndexCapacity() {
+    const lightsPerCluster = this.maxLightsPerCluster ?
+        Math.min(this.maxLightsPerCluster, INITIAL_LIGHTS_PER_CLUSTER) : INITIAL_LIGHTS_PER_CLUSTER;
+    return this.totalTiles * lightsPerCluster;
+  }
+
+  getClusterLightsSize(lightIndexCapacity) {
+    return this.clusterLightsHeaderSize + (4 * lightIndexCapacity);
+  }
+
+  get clusterOverflowSize() {
+    return CLUSTER_OVERFLOW_HEADER_SIZE + (4 * this.totalTiles);
+  }
+
+  get activeClustersSize() {
+    return 4 + (4 * this.totalTiles); // Count followed by a cluster index for every cluster.
+  }
+
+  equals(other) {
+    return this.tileCount[0] == other.tileCount[0] &&
+           this.tileCount[1] == other.tileCount[1] &&
+           this.tileCount[2] == other.tileCount[2] &&
+           this.depthSlicing == other.depthSlicing &&
+           this.nearSlabDepth == other.nearSlabDepth &&
+           this.maxLightsPerCluster == other.maxLightsPerCluster;
+  }
+}
+
+/**
+ * ClusterMaskLayout
+ * Describes the bitmask cluster storage, where each light gets one bit in a fixed number of words rather than an entry
+ * in a variable length index list. With zBinning the masks are stored per 2D tile, plus one per depth slice (z-bin),
+ * and a cluster's lights are the intersection of its tile and z-bin. That's the bitmask form of the z-bins from
+ * "Improved Culling for Tiled and Clustered Rendering" (Drobot, 2017), which avoids having to sort the lights by depth.
+ */
+export class ClusterMaskLayout {
+  constructor(clusterConfig, maxLightCount, zBinning = false) {
+    this.clusterConfig = clusterConfig;
+    this.zBinning = zBinning;
+    this.wordCount = Math.ceil(Math.min(maxLightCount, MAX_MASK_LIGHT_COUNT) / 32);
+  }
+
+  get maskCount() {
+    const tileCount = this.clusterConfig.tileCount;
+    return this.zBinning ? tileCount[0] * tileCount[1] : this.clusterConfig.totalTiles;
+  }
+
+  get lightMasksSize() {
+    return this.maskCount * this.wordCount * 4;
+  }
+
+  // Without z-binning this is left as a single word, since storage buffers can't be empty.
+  get zBinMasksSize() {
+    return this.zBinning ? this.clusterConfig.tileCount[2] * this.wordCount * 4 : 4;
+  }
+
+  get zBinDispatchSize() {
+    return Math.ceil(this.clusterConfig.tileCount[2] / ZBIN_WORKGROUP_SIZE);
+  }
+}
+
+// Sizes of the light hierarchy buffers needed for the given number of lights. The sort works on a power of two number
+// of keys, padded out past the last light.
+export function getLightHierarchySize(lightCount) {
+  const leafCount = Math.max(Math.ceil(lightCount / LIGHT_NODE_WIDTH), 1);
+  return {
+    sortCount: Math.max(2 ** Math.ceil(Math.log2(Math.max(lightCount, 1))), LIGHT_HIERARCHY_WORKGROUP_SIZE),
+    leafCount,
+    rootCount: Math.ceil(leafCount / LIGHT_NODE_WIDTH),
+  };
+}
+
+// Workgroup count for a light hierarchy pass over the given number of keys or nodes.
+export function getLightHierarchyDispatchSize(count) {
+  return Math.ceil(count / LIGHT_HIERARCHY_WORKGROUP_SIZE);
+}
+
+// Returns the [blockSize, compareDistance] pair for each step of a bitonic sort of sortCount keys, in order. The steps
+// for a smaller power of two are a prefix of these.
+export function getBitonicSortSteps(sortCount) {
+  const steps = [];
+  for (let blockSize = 2; blockSize <= sortCount; blockSize *= 2) {
+    for (let compareDistance = blockSize / 2; compareDistance >= 1; compareDistance /= 2) {
+      steps.push([blockSize, compareDistance]);
+    }
+  }
+  return steps;
+}
+
+function TileCount(config) {
+  return `vec3<u32>(${config.tileCount[0]}u, ${config.tileCount[1]}u, ${config.tileCount[2]}u)`;
+}
+
+// Written from ClusterConfig.getSliceUniforms whenever the projection changes.
+export const ClusterSliceUniforms = `
+  const DepthSlicing_Logarithmic = ${DEPTH_SLICING_INDEX[DepthSlicing.Logarithmic]}u;
+  const DepthSlicing_Linear = ${DEPTH_SLICING_INDEX[DepthSlicing.Linear]}u;
+  const DepthSlicing_Hybrid = ${DEPTH_SLICING_INDEX[DepthSlicing.Hybrid]}u;
+
+  struct ClusterSliceUniforms {
+    // (scale, bias, nearSlabDepth, unused) for each DepthSlicing scheme.
+    schemes : array<vec4<f32>, 3>
+  };
+  @group(${BIND_GROUP.Frame}) @binding(5) var<uniform> clusterSlices : ClusterSliceUniforms;
+`;
+
+// The depth slice functions are used both to build the cluster bounds and to look up a fragment's cluster, which keeps
+// the two in agreement.
+export function TileFunctions(config) { return `
+${ClusterSliceUniforms}
+
+const tileCount : vec3<u32> = ${TileCount(config)};
+const depthSlicing = ${DEPTH_SLICING_INDEX[config.depthSlicing]}u;
+
+// Returns the (fractional) depth slice that a view space depth falls in.
+fn getSchemeDepthSlice(scheme : u32, depth : f32) -> f32 {
+  let params = clusterSlices.schemes[scheme];
+  if (scheme == DepthSlicing_Linear) {
+    return depth * params.x + params.y;
+  }
+  if (scheme == DepthSlicing_Hybrid && depth < params.z) {
+    return 0.0;
+  }
+  return log2(depth) * params.x + params.y;
+}
+
+// Returns the view space depth that a depth slice starts at. The inverse of getSchemeDepthSlice.
+fn getSchemeSliceDepth(scheme : u32, slice : u32) -> f32 {
+  let params = clusterSlices.schemes[scheme];
+  if (scheme == DepthSlicing_Linear) {
+    return (f32(slice) - params.y) / params.x;
+  }
+  if (scheme == DepthSlicing_Hybrid && slice == 0u) {
+    return projection.zNear;
+  }
+  return exp2((f32(slice) - params.y) / params.x);
+}
+
+// Orthographic projections don't shrink things with distance, which is what the other schemes make up for, so they're
+// always sliced linearly.
+fn getDepthSlicing() -> u32 {
+  if (projection.mode == ProjectionMode_Orthographic) {
+    return DepthSlicing_Linear;
+  }
+  return depthSlicing;
+}
+
+fn getDepthSlice(depth : f32) -> f32 {
+  return getSchemeDepthSlice(getDepthSlicing(), depth);
+}
+
+fn getSliceDepth(slice : u32) -> f32 {
+  return getSchemeSliceDepth(getDepthSlicing(), slice);
 }
 
 fn getTile(fragCoord : vec4<f32>) -> vec3<u32> {
-  // TODO: scale and bias calculation can be moved outside the shader to save cycles.
-  let sliceScale = f32(tileCount.z) / log2(projection.zFar / projection.zNear);
-  let sliceBias = -(f32(tileCount.z) * log2(projection.zNear) / log2(projection.zFar / projection.zNear));
-  let zTile = u32(max(log2(linearDepth(fragCoord.z)) * sliceScale + sliceBias, 0.0));
+  let zTile = u32(max(getDepthSlice(linearDepth(fragCoord.z)), 0.0));
 
   return vec3<u32>(u32(fragCoord.x / (projection.outputSize.x / f32(tileCount.x))),
                    u32(fragCoord.y / (projection.outputSize.y / f32(tileCount.y))),
@@ -62,33 +310,57 @@ fn getClusterIndex(fragCoord : vec4<f32>) -> u32 {
          tile.z * tileCount.x * tileCount.y;
 }
 `;
+}
 
-export const ClusterStructs = `
+export function ClusterStructs(config) { return `
   struct ClusterBounds {
     minAABB : vec3<f32>,
     maxAABB : vec3<f32>
   };
   struct Clusters {
-    bounds : array<ClusterBounds, ${TOTAL_TILES}>
+    bounds : array<ClusterBounds, ${config.totalTiles}>
   };
 `;
+}
 
-export const ClusterLightsStructs = `
+export function ClusterLightsStructs(config) { return `
   struct ClusterLights {
     offset : u32,
     count : u32
   };
   struct ClusterLightGroup {
-    offset : atomic<u32>,
-    lights : array<ClusterLights, ${TOTAL_TILES}>,
-    indices : array<u32, ${MAX_LIGHTS_PER_CLUSTER * TOTAL_TILES}>
+    // Total number of light indices needed this frame. May be larger than the indices array if it needs to grow.
+    indexCount : u32,
+    lights : array<ClusterLights, ${config.totalTiles}>,
+    indices : array<u32>
   };
   @group(${BIND_GROUP.Frame}) @binding(3) var<storage, read_write> clusterLights : ClusterLightGroup;
 `;
+}
 
-export const ClusterBoundsSource = `
+// Debug info about clusters that had more lights touching them than could be stored.
+export function ClusterOverflowStructs(config) { return `
+  struct ClusterOverflow {
+    overflowingClusters : atomic<u32>,
+    maxLightsRequested : atomic<u32>,
+    rejectedLights : array<u32, ${config.totalTiles}>
+  };
+  @group(${BIND_GROUP.Frame}) @binding(4) var<storage, read_write> clusterOverflow : ClusterOverflow;
+`;
+}
+
+// The clusters found to contain visible geometry by the depth prepass, built by ActiveClustersSource.
+export function ActiveClustersStructs(config) { return `
+  struct ActiveClusters {
+    count : u32,
+    indices : array<u32, ${config.totalTiles}>
+  };
+`;
+}
+
+export function ClusterBoundsSource(config) { return `
   ${ProjectionUniforms}
-  ${ClusterStructs}
+  ${ClusterStructs(config)}
   @group(1) @binding(0) var<storage, read_write> clusters : Clusters;
 
   fn lineIntersectionToZPlane(a : vec3<f32>, b : vec3<f32>, zDistance : f32) -> vec3<f32> {
@@ -109,11 +381,25 @@ export const ClusterBoundsSource = `
     return clipToView(clip);
   }
 
-  const tileCount = vec3<u32>(${TILE_COUNT[0]}u, ${TILE_COUNT[1]}u, ${TILE_COUNT[2]}u);
+  ${TileFunctions(config)}
   const eyePos = vec3<f32>(0.0);
 
+  // Finds where the view ray through a point on the near plane reaches the given depth. The rays start at the eye for
+  // perspective projections and run parallel to the view direction for orthographic ones.
+  fn tilePointAtDepth(point_vS : vec3<f32>, zDistance : f32) -> vec3<f32> {
+    if (projection.mode == ProjectionMode_Orthographic) {
+      return vec3<f32>(point_vS.xy, zDistance);
+    }
+    return lineIntersectionToZPlane(eyePos, point_vS, zDistance);
+  }
+
   @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
   fn main(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    // The tile count isn't necessarily a multiple of the workgroup size.
+    if (any(global_id >= tileCount)) {
+      return;
+    }
+
     let tileIndex = global_id.x +
                     global_id.y * tileCount.x +
                     global_id.z * tileCount.x * tileCount.y;
@@ -127,30 +413,22 @@ export const ClusterBoundsSource = `
     let maxPoint_vS = screen2View(maxPoint_sS).xyz;
     let minPoint_vS = screen2View(minPoint_sS).xyz;
 
-    let tileNear = -projection.zNear * pow(projection.zFar/ projection.zNear, f32(global_id.z)/f32(tileCount.z));
-    let tileFar = -projection.zNear * pow(projection.zFar/ projection.zNear, f32(global_id.z+1u)/f32(tileCount.z));
+    let tileNear = -getSliceDepth(global_id.z);
+    let tileFar = -getSliceDepth(global_id.z+1u);
 
-    let minPointNear = lineIntersectionToZPlane(eyePos, minPoint_vS, tileNear);
-    let minPointFar = lineIntersectionToZPlane(eyePos, minPoint_vS, tileFar);
-    let maxPointNear = lineIntersectionToZPlane(eyePos, maxPoint_vS, tileNear);
-    let maxPointFar = lineIntersectionToZPlane(eyePos, maxPoint_vS, tileFar);
+    let minPointNear = tilePointAtDepth(minPoint_vS, tileNear);
+    let minPointFar = tilePointAtDepth(minPoint_vS, tileFar);
+    let maxPointNear = tilePointAtDepth(maxPoint_vS, tileNear);
+    let maxPointFar = tilePointAtDepth(maxPoint_vS, tileFar);
 
     clusters.bounds[tileIndex].minAABB = min(min(minPointNear, minPointFar),min(maxPointNear, maxPointFar));
     clusters.bounds[tileIndex].maxAABB = max(max(minPointNear, minPointFar),max(maxPointNear, maxPointFar));
   }
 `;
+}
 
-export const ClusterLightsSource = `
-  ${ProjectionUniforms}
-  ${ViewUniforms}
-  ${LightUniforms}
-  ${ClusterLightsStructs}
-
-  ${ClusterStructs}
-  @group(1) @binding(0) var<storage> clusters : Clusters;
-
-  ${TileFunctions}
-
+// Tests lights against view space bounding boxes. Expects the view and light uniforms to be declared alongside it.
+export const LightCullingFunctions = `
   fn sqDistPointAABB(_point : vec3<f32>, minAABB : vec3<f32>, maxAABB : vec3<f32>) -> f32 {
     var sqDist = 0.0;
     // const minAABB : vec3<f32> = clusters.bounds[tileIndex].minAABB;
@@ -170,42 +448,849 @@ export const ClusterLightsSource = `
     return sqDist;
   }
 
+  // Tests the cluster's bounding sphere against the spot light's cone, both in view space.
+  // Based on https://bartwronski.com/2017/04/13/cull-that-cone/
+  fn coneIntersectsAABB(lightViewPos : vec3<f32>, lightViewDir : vec3<f32>, range : f32, outerConeCos : f32,
+                        minAABB : vec3<f32>, maxAABB : vec3<f32>) -> bool {
+    let sphereCenter = (minAABB + maxAABB) * 0.5;
+    let sphereRadius = length(maxAABB - minAABB) * 0.5;
+
+    let v = sphereCenter - lightViewPos;
+    let vLenSq = dot(v, v);
+    let v1Len = dot(v, lightViewDir);
+    let outerConeSin = sqrt(max(1.0 - outerConeCos * outerConeCos, 0.0));
+    let distanceClosestPoint = outerConeCos * sqrt(max(vLenSq - v1Len * v1Len, 0.0)) - v1Len * outerConeSin;
+
+    let angleCull = distanceClosestPoint > sphereRadius;
+    let frontCull = v1Len > sphereRadius + range;
+    let backCull = v1Len < -sphereRadius;
+    return !(angleCull || frontCull || backCull);
+  }
+
+  // The parts of a light needed for culling, in view space.
+  struct ViewLight {
+    position : vec3<f32>,
+    range : f32,
+    direction : vec3<f32>,
+    outerConeCos : f32,
+    lightType : u32
+  };
+
+  fn getViewLight(lightIndex : u32) -> ViewLight {
+    let light = globalLights.lights[lightIndex];
+    var viewLight : ViewLight;
+    viewLight.position = (view.matrix * vec4<f32>(light.position, 1.0)).xyz;
+    viewLight.range = light.range;
+    viewLight.lightType = light.lightType;
+    if (light.lightType == LightType_Spot) {
+      viewLight.direction = normalize((view.matrix * vec4<f32>(light.direction, 0.0)).xyz);
+      viewLight.outerConeCos = light.outerConeCos;
+    }
+    return viewLight;
+  }
+
+  fn viewLightIntersectsAABB(light : ViewLight, minAABB : vec3<f32>, maxAABB : vec3<f32>) -> bool {
+    let range = light.range;
+    // Lights with an infinite range would end up in every cluster. Those are expected to be in the directional light
+    // list instead, which is applied to every pixel without taking up cluster slots.
+    if (range <= 0.0) {
+      return false;
+    }
+
+    let sqDist = sqDistPointAABB(light.position, minAABB, maxAABB);
+    if (sqDist > (range * range)) {
+      return false;
+    }
+
+    if (light.lightType == LightType_Spot) {
+      return coneIntersectsAABB(light.position, light.direction, range, light.outerConeCos, minAABB, maxAABB);
+    }
+    return true;
+  }
+`;
+
+// Bounds of a node in the light hierarchy, in view space. Empty nodes have a min greater than their max, so they never
+// overlap anything.
+export const LightHierarchyStructs = `
+  struct LightNode {
+    minAABB : vec3<f32>,
+    maxAABB : vec3<f32>
+  };
+  const lightNodeWidth = ${LIGHT_NODE_WIDTH}u;
+`;
+
+// Builds a two level hierarchy over the lights each frame, for culling tens of thousands of lights. computeLightKeys
+// gives each light a Morton code from its view space position, sortLightKeys is run once per step of a bitonic sort
+// (see getBitonicSortSteps) to put nearby lights next to each other, then buildLeaves bounds each run of
+// LIGHT_NODE_WIDTH sorted lights and buildRoots bounds each run of leaves.
+export const LightHierarchySource = `
+  ${ProjectionUniforms}
+  ${ViewUniforms}
+  ${LightUniforms}
+  ${LightCullingFunctions}
+  ${LightHierarchyStructs}
+
+  // (Morton code, light index) pairs.
+  @group(1) @binding(0) var<storage, read_write> sortedLights : array<vec2<u32>>;
+  @group(1) @binding(1) var<storage, read_write> lightLeaves : array<LightNode>;
+  @group(1) @binding(2) var<storage, read_write> lightRoots : array<LightNode>;
+
+  struct SortParams {
+    blockSize : u32,
+    compareDistance : u32
+  };
+  @group(2) @binding(0) var<uniform> sortParams : SortParams;
+
+  // Morton codes only use 30 bits. Lights that can't affect any cluster sort after all of them, and the padding used to
+  // reach a power of two sorts after those, so the first lightCount keys are always the lights.
+  const culledLightKey = 0x40000000u;
+  const paddingKey = 0xffffffffu;
+
+  const maxFloat = 3.40282347e38;
+
+  // Spreads the low 10 bits out to every third bit.
+  fn expandBits(value : u32) -> u32 {
+    var x = value & 0x3ffu;
+    x = (x | (x << 16u)) & 0x030000ffu;
+    x = (x | (x << 8u)) & 0x0300f00fu;
+    x = (x | (x << 4u)) & 0x030c30c3u;
+    x = (x | (x << 2u)) & 0x09249249u;
+    return x;
+  }
+
+  @compute @workgroup_size(${LIGHT_HIERARCHY_WORKGROUP_SIZE})
+  fn computeLightKeys(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    let i = global_id.x;
+    if (i >= arrayLength(&sortedLights)) {
+      return;
+    }
+    if (i >= globalLights.lightCount) {
+      sortedLights[i] = vec2<u32>(paddingKey, 0u);
+      return;
+    }
+
+    let light = getViewLight(i);
+    if (light.range <= 0.0) {
+      sortedLights[i] = vec2<u32>(culledLightKey, i);
+      return;
+    }
+
+    // Quantize the position within a cube around the view frustum. Lights outside of it are clamped to the edge, which
+    // only makes the hierarchy a little less tight.
+    let extent = vec3<f32>(projection.zFar, projection.zFar, projection.zFar);
+    let cell = vec3<u32>(clamp((light.position + extent) / (2.0 * extent), vec3<f32>(0.0), vec3<f32>(1.0)) * 1023.0);
+    sortedLights[i] = vec2<u32>((expandBits(cell.x) << 2u) | (expandBits(cell.y) << 1u) | expandBits(cell.z), i);
+  }
+
+  @compute @workgroup_size(${LIGHT_HIERARCHY_WORKGROUP_SIZE})
+  fn sortLightKeys(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    let i = global_id.x;
+    let j = i ^ sortParams.compareDistance;
+    if (j <= i || j >= arrayLength(&sortedLights)) {
+      return;
+    }
+
+    let a = sortedLights[i];
+    let b = sortedLights[j];
+    let ascending = (i & sortParams.blockSize) == 0u;
+    if ((a.x > b.x) == ascending) {
+      sortedLights[i] = b;
+      sortedLights[j] = a;
+    }
+  }
+
+  @compute @workgroup_size(${LIGHT_HIERARCHY_WORKGROUP_SIZE})
+  fn buildLeaves(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    let leaf = global_id.x;
+    let lightCount = globalLights.lightCount;
+    if (leaf * lightNodeWidth >= lightCount) {
+      return;
+    }
+
+    var node = LightNode(vec3<f32>(maxFloat), vec3<f32>(-maxFloat));
+    let lightEnd = min((leaf + 1u) * lightNodeWidth, lightCount);
+    for (var i = leaf * lightNodeWidth; i < lightEnd; i = i + 1u) {
+      let key = sortedLights[i];
+      if (key.x == culledLightKey) {
+        continue;
+      }
+      // Spot lights are bounded by their full sphere. The cone is only tested once a cluster reaches the light itself.
+      let light = getViewLight(key.y);
+      node.minAABB = min(node.minAABB, light.position - vec3<f32>(light.range));
+      node.maxAABB = max(node.maxAABB, light.position + vec3<f32>(light.range));
+    }
+    lightLeaves[leaf] = node;
+  }
+
+  @compute @workgroup_size(${LIGHT_HIERARCHY_WORKGROUP_SIZE})
+  fn buildRoots(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    let root = global_id.x;
+    let leafCount = (globalLights.lightCount + lightNodeWidth - 1u) / lightNodeWidth;
+    if (root * lightNodeWidth >= leafCount) {
+      return;
+    }
+
+    var node = LightNode(vec3<f32>(maxFloat), vec3<f32>(-maxFloat));
+    let leafEnd = min((root + 1u) * lightNodeWidth, leafCount);
+    for (var leaf = root * lightNodeWidth; leaf < leafEnd; leaf = leaf + 1u) {
+      node.minAABB = min(node.minAABB, lightLeaves[leaf].minAABB);
+      node.maxAABB = max(node.maxAABB, lightLeaves[leaf].maxAABB);
+    }
+    lightRoots[root] = node;
+  }
+`;
+
+// When batchLights is set each workgroup transforms the lights to view space in batches of LIGHT_BATCH_SIZE, sharing
+// them through workgroup memory, rather than every invocation transforming every light itself. When lightHierarchy is
+// set the lights are instead found by walking the hierarchy built by LightHierarchySource, which takes precedence.
+//
+// Clusters with more lights than they have room for (see ClusterConfig.maxLightsPerCluster) normally keep the first
+// ones in index order. With importanceSelection they keep the ones estimated to contribute the most to the cluster
+// instead. That needs a per-invocation list of the kept lights' importance, so it only applies when the config has a
+// limit.
+export function ClusterLightsSource(config, batchLights, lightHierarchy, importanceSelection) {
+  const selectByImportance = !!importanceSelection && config.maxLightsPerCluster > 0;
+  return wgsl`
+  ${ProjectionUniforms}
+  ${ViewUniforms}
+  ${LightUniforms}
+  ${ClusterLightsStructs(config)}
+  ${ClusterOverflowStructs(config)}
+
+  ${ClusterStructs(config)}
+  @group(1) @binding(0) var<storage> clusters : Clusters;
+
+  ${TileFunctions(config)}
+
+  ${LightCullingFunctions}
+
+  fn viewLightAffectsCluster(light : ViewLight, tileIndex : u32) -> bool {
+    return viewLightIntersectsAABB(light, clusters.bounds[tileIndex].minAABB, clusters.bounds[tileIndex].maxAABB);
+  }
+
+  fn getTileIndex(global_id : vec3<u32>) -> u32 {
+    return global_id.x +
+           global_id.y * tileCount.x +
+           global_id.z * tileCount.x * tileCount.y;
+  }
+
+  // Records the result of the assignment pass, along with any lights that didn't fit.
+  fn finishClusterLights(tileIndex : u32, requestedLightCount : u32, clusterLightCount : u32) {
+    clusterLights.lights[tileIndex].count = clusterLightCount;
+
+    let rejectedLightCount = requestedLightCount - clusterLightCount;
+    clusterOverflow.rejectedLights[tileIndex] = rejectedLightCount;
+    if (rejectedLightCount > 0u) {
+      atomicAdd(&clusterOverflow.overflowingClusters, 1u);
+    }
+    atomicMax(&clusterOverflow.maxLightsRequested, requestedLightCount);
+  }
+
+  ${ActiveClustersStructs(config)}
+  @group(2) @binding(0) var<storage> activeClusters : ActiveClusters;
+
+  const maxLightsPerCluster = ${config.maxLightsPerCluster}u;
+
+  // Number of light indices the cluster gets to write, out of the ones it asked for. If the index list is too small
+  // this frame some lights will be dropped. The renderer reads back the index count and grows the list for the
+  // following frames.
+  fn getClusterLightRoom(offset : u32, requestedLightCount : u32) -> u32 {
+    let capacity = arrayLength(&clusterLights.indices);
+    var room = select(0u, min(requestedLightCount, capacity - offset), offset < capacity);
+    if (maxLightsPerCluster > 0u) {
+      room = min(room, maxLightsPerCluster);
+    }
+    return room;
+  }
+
+#if ${selectByImportance}
+  const minImportanceSqDistance = ${MIN_IMPORTANCE_SQ_DISTANCE};
+
+  // Importance of each light kept so far by the invocation's cluster, and the slot holding the least important one.
+  var<private> keptLightImportance : array<f32, ${config.maxLightsPerCluster}>;
+  var<private> leastImportantSlot : u32;
+
+  // Rough estimate of how much the light contributes to the cluster: its brightest color channel (which includes the
+  // intensity) times the attenuation used for shading, at the point of the cluster closest to the light.
+  fn lightImportance(lightIndex : u32, light : ViewLight, tileIndex : u32) -> f32 {
+    let color = globalLights.lights[lightIndex].color;
+    let sqDist = max(sqDistPointAABB(light.position, clusters.bounds[tileIndex].minAABB,
+                                     clusters.bounds[tileIndex].maxAABB), minImportanceSqDistance);
+    let sqRangeRatio = sqDist / (light.range * light.range);
+    let attenuation = clamp(1.0 - sqRangeRatio * sqRangeRatio, 0.0, 1.0) / sqDist;
+    return max(color.r, max(color.g, color.b)) * attenuation;
+  }
+
+  // Adds a light affecting the cluster to its list, which has room for maxLightCount. Once the list is full, each new
+  // light replaces the least important one kept so far if it's more important. Returns the new list length.
+  fn addClusterLight(tileIndex : u32, offset : u32, clusterLightCount : u32, maxLightCount : u32,
+                     lightIndex : u32, light : ViewLight) -> u32 {
+    let importance = lightImportance(lightIndex, light, tileIndex);
+    if (clusterLightCount < maxLightCount) {
+      clusterLights.indices[offset + clusterLightCount] = lightIndex;
+      keptLightImportance[clusterLightCount] = importance;
+      if (clusterLightCount == 0u || importance < keptLightImportance[leastImportantSlot]) {
+        leastImportantSlot = clusterLightCount;
+      }
+      return clusterLightCount + 1u;
+    }
+
+    if (maxLightCount > 0u && importance > keptLightImportance[leastImportantSlot]) {
+      clusterLights.indices[offset + leastImportantSlot] = lightIndex;
+      keptLightImportance[leastImportantSlot] = importance;
+      for (var i = 0u; i < maxLightCount; i = i + 1u) {
+        if (keptLightImportance[i] < keptLightImportance[leastImportantSlot]) {
+          leastImportantSlot = i;
+        }
+      }
+    }
+    return clusterLightCount;
+  }
+
+  // Every light affecting the cluster has to be seen before the most important ones are known.
+  fn clusterLightsDone(seenLightCount : u32, clusterLightCount : u32, requestedLightCount : u32,
+                       maxLightCount : u32) -> bool {
+    return seenLightCount == requestedLightCount;
+  }
+#else
+  fn addClusterLight(tileIndex : u32, offset : u32, clusterLightCount : u32, maxLightCount : u32,
+                     lightIndex : u32, light : ViewLight) -> u32 {
+    if (clusterLightCount == maxLightCount) {
+      return clusterLightCount;
+    }
+    clusterLights.indices[offset + clusterLightCount] = lightIndex;
+    return clusterLightCount + 1u;
+  }
+
+  // Lights are kept in index order, so nothing seen after the list fills up would make it in.
+  fn clusterLightsDone(seenLightCount : u32, clusterLightCount : u32, requestedLightCount : u32,
+                       maxLightCount : u32) -> bool {
+    return clusterLightCount == maxLightCount;
+  }
+#endif
+
+  fn lightAffectsCluster(lightIndex : u32, tileIndex : u32) -> bool {
+    return viewLightAffectsCluster(getViewLight(lightIndex), tileIndex);
+  }
+
+#if ${lightHierarchy}
+  ${LightHierarchyStructs}
+  @group(1) @binding(1) var<storage> sortedLights : array<vec2<u32>>;
+  @group(1) @binding(2) var<storage> lightLeaves : array<LightNode>;
+  @group(1) @binding(3) var<storage> lightRoots : array<LightNode>;
+
+  fn nodeOverlapsCluster(node : LightNode, minAABB : vec3<f32>, maxAABB : vec3<f32>) -> bool {
+    return all(node.minAABB <= maxAABB) && all(node.maxAABB >= minAABB);
+  }
+
+  // Walks the light hierarchy, skipping any nodes that don't touch the cluster, and counts the lights affecting it.
+  // When writeIndices is set it also adds them to the cluster's list, which has room for maxLightCount, and returns
+  // the number kept rather than the number seen.
+  fn visitClusterLights(tileIndex : u32, writeIndices : bool, offset : u32, requestedLightCount : u32,
+                        maxLightCount : u32) -> u32 {
+    let minAABB = clusters.bounds[tileIndex].minAABB;
+    let maxAABB = clusters.bounds[tileIndex].maxAABB;
+    let lightCount = globalLights.lightCount;
+    let leafCount = (lightCount + lightNodeWidth - 1u) / lightNodeWidth;
+    let rootCount = (leafCount + lightNodeWidth - 1u) / lightNodeWidth;
+
+    var seenLightCount = 0u;
+    var clusterLightCount = 0u;
+    for (var root = 0u; root < rootCount; root = root + 1u) {
+      if (!nodeOverlapsCluster(lightRoots[root], minAABB, maxAABB)) {
+        continue;
+      }
+
+      let leafEnd = min((root + 1u) * lightNodeWidth, leafCount);
+      for (var leaf = root * lightNodeWidth; leaf < leafEnd; leaf = leaf + 1u) {
+        if (!nodeOverlapsCluster(lightLeaves[leaf], minAABB, maxAABB)) {
+          continue;
+        }
+
+        let lightEnd = min((leaf + 1u) * lightNodeWidth, lightCount);
+        for (var i = leaf * lightNodeWidth; i < lightEnd; i = i + 1u) {
+          if (clusterLightsDone(seenLightCount, clusterLightCount, requestedLightCount, maxLightCount)) {
+            return select(seenLightCount, clusterLightCount, writeIndices);
+          }
+
+          let lightIndex = sortedLights[i].y;
+          let light = getViewLight(lightIndex);
+          if (viewLightAffectsCluster(light, tileIndex)) {
+            if (writeIndices) {
+              clusterLightCount = addClusterLight(tileIndex, offset, clusterLightCount, maxLightCount, lightIndex, light);
+            }
+            seenLightCount = seenLightCount + 1u;
+          }
+        }
+      }
+    }
+    return select(seenLightCount, clusterLightCount, writeIndices);
+  }
+
+  fn countClusterLights(tileIndex : u32) {
+    clusterLights.lights[tileIndex].count = visitClusterLights(tileIndex, false, 0u, 0xffffffffu, 0xffffffffu);
+  }
+
+  fn assignClusterLights(tileIndex : u32) {
+    let offset = clusterLights.lights[tileIndex].offset;
+    let requestedLightCount = clusterLights.lights[tileIndex].count;
+    let maxLightCount = getClusterLightRoom(offset, requestedLightCount);
+    let clusterLightCount = visitClusterLights(tileIndex, true, offset, requestedLightCount, maxLightCount);
+    finishClusterLights(tileIndex, requestedLightCount, clusterLightCount);
+  }
+#elif ${!batchLights}
+  // First pass: Count how many lights affect each cluster. The offsets are then filled in by the prefix sum passes in
+  // ClusterLightsScanSource.
+  fn countClusterLights(tileIndex : u32) {
+    var clusterLightCount = 0u;
+    for (var i = 0u; i < globalLights.lightCount; i = i + 1u) {
+      if (lightAffectsCluster(i, tileIndex)) {
+        clusterLightCount = clusterLightCount + 1u;
+      }
+    }
+    clusterLights.lights[tileIndex].count = clusterLightCount;
+  }
+
+  // Last pass: Write the light indices for each cluster starting at its offset.
+  fn assignClusterLights(tileIndex : u32) {
+    let offset = clusterLights.lights[tileIndex].offset;
+    let requestedLightCount = clusterLights.lights[tileIndex].count;
+    let maxLightCount = getClusterLightRoom(offset, requestedLightCount);
+
+    var seenLightCount = 0u;
+    var clusterLightCount = 0u;
+    for (var i = 0u; i < globalLights.lightCount; i = i + 1u) {
+      if (clusterLightsDone(seenLightCount, clusterLightCount, requestedLightCount, maxLightCount)) {
+        break;
+      }
+
+      let light = getViewLight(i);
+      if (viewLightAffectsCluster(light, tileIndex)) {
+        clusterLightCount = addClusterLight(tileIndex, offset, clusterLightCount, maxLightCount, i, light);
+        seenLightCount = seenLightCount + 1u;
+      }
+    }
+    finishClusterLights(tileIndex, requestedLightCount, clusterLightCount);
+  }
+#endif
+
+#if ${lightHierarchy || !batchLights}
   @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
-  fn main(@builtin(global_invocation_id) global_id : vec3<u32>) {
+  fn countLights(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    if (any(global_id >= tileCount)) {
+      return;
+    }
+    countClusterLights(getTileIndex(global_id));
+  }
+
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn assignLights(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    if (any(global_id >= tileCount)) {
+      return;
+    }
+    assignClusterLights(getTileIndex(global_id));
+  }
+
+  // Variants of the passes above that only visit the clusters in the active cluster list. These are dispatched
+  // indirectly, with the workgroup count written by ActiveClustersSource.
+  @compute @workgroup_size(${ACTIVE_CLUSTER_WORKGROUP_SIZE})
+  fn countActiveLights(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    if (global_id.x >= activeClusters.count) {
+      return;
+    }
+    countClusterLights(activeClusters.indices[global_id.x]);
+  }
+
+  @compute @workgroup_size(${ACTIVE_CLUSTER_WORKGROUP_SIZE})
+  fn assignActiveLights(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    if (global_id.x >= activeClusters.count) {
+      return;
+    }
+    assignClusterLights(activeClusters.indices[global_id.x]);
+  }
+#else
+  const lightBatchSize = ${LIGHT_BATCH_SIZE}u;
+  var<workgroup> lightBatch : array<ViewLight, ${LIGHT_BATCH_SIZE}>;
+
+  // Every invocation in the workgroup has to reach the barriers, including those without a cluster to work on, so the
+  // loops below run over the whole light list for everyone and only the invocations with a valid cluster test against
+  // each batch.
+  fn loadLightBatch(batchStart : u32, localIndex : u32, invocationCount : u32) -> u32 {
+    let batchLightCount = min(globalLights.lightCount - batchStart, lightBatchSize);
+    for (var i = localIndex; i < batchLightCount; i = i + invocationCount) {
+      lightBatch[i] = getViewLight(batchStart + i);
+    }
+    workgroupBarrier();
+    return batchLightCount;
+  }
+
+  fn countClusterLights(tileIndex : u32, valid : bool, localIndex : u32, invocationCount : u32) {
+    var clusterLightCount = 0u;
+    for (var batchStart = 0u; batchStart < globalLights.lightCount; batchStart = batchStart + lightBatchSize) {
+      let batchLightCount = loadLightBatch(batchStart, localIndex, invocationCount);
+      if (valid) {
+        for (var i = 0u; i < batchLightCount; i = i + 1u) {
+          if (viewLightAffectsCluster(lightBatch[i], tileIndex)) {
+            clusterLightCount = clusterLightCount + 1u;
+          }
+        }
+      }
+      // Don't let the next batch overwrite this one while it's still in use.
+      workgroupBarrier();
+    }
+
+    if (valid) {
+      clusterLights.lights[tileIndex].count = clusterLightCount;
+    }
+  }
+
+  fn assignClusterLights(tileIndex : u32, valid : bool, localIndex : u32, invocationCount : u32) {
+    var offset = 0u;
+    var requestedLightCount = 0u;
+    if (valid) {
+      offset = clusterLights.lights[tileIndex].offset;
+      requestedLightCount = clusterLights.lights[tileIndex].count;
+    }
+    let maxLightCount = getClusterLightRoom(offset, requestedLightCount);
+
+    var seenLightCount = 0u;
+    var clusterLightCount = 0u;
+    for (var batchStart = 0u; batchStart < globalLights.lightCount; batchStart = batchStart + lightBatchSize) {
+      let batchLightCount = loadLightBatch(batchStart, localIndex, invocationCount);
+      for (var i = 0u; i < batchLightCount; i = i + 1u) {
+        if (clusterLightsDone(seenLightCount, clusterLightCount, requestedLightCount, maxLightCount)) {
+          break;
+        }
+
+        if (viewLightAffectsCluster(lightBatch[i], tileIndex)) {
+          clusterLightCount = addClusterLight(tileIndex, offset, clusterLightCount, maxLightCount, batchStart + i,
+                                              lightBatch[i]);
+          seenLightCount = seenLightCount + 1u;
+        }
+      }
+      workgroupBarrier();
+    }
+
+    if (valid) {
+      finishClusterLights(tileIndex, requestedLightCount, clusterLightCount);
+    }
+  }
+
+  const clusterInvocationCount = ${WORKGROUP_SIZE[0] * WORKGROUP_SIZE[1] * WORKGROUP_SIZE[2]}u;
+
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn countLights(@builtin(global_invocation_id) global_id : vec3<u32>,
+                 @builtin(local_invocation_index) local_index : u32) {
+    let valid = all(global_id < tileCount);
+    countClusterLights(getTileIndex(global_id), valid, local_index, clusterInvocationCount);
+  }
+
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn assignLights(@builtin(global_invocation_id) global_id : vec3<u32>,
+                  @builtin(local_invocation_index) local_index : u32) {
+    let valid = all(global_id < tileCount);
+    assignClusterLights(getTileIndex(global_id), valid, local_index, clusterInvocationCount);
+  }
+
+  fn getActiveTileIndex(activeIndex : u32) -> u32 {
+    if (activeIndex >= activeClusters.count) {
+      return 0u;
+    }
+    return activeClusters.indices[activeIndex];
+  }
+
+  @compute @workgroup_size(${ACTIVE_CLUSTER_WORKGROUP_SIZE})
+  fn countActiveLights(@builtin(global_invocation_id) global_id : vec3<u32>,
+                       @builtin(local_invocation_index) local_index : u32) {
+    let valid = global_id.x < activeClusters.count;
+    countClusterLights(getActiveTileIndex(global_id.x), valid, local_index, ${ACTIVE_CLUSTER_WORKGROUP_SIZE}u);
+  }
+
+  @compute @workgroup_size(${ACTIVE_CLUSTER_WORKGROUP_SIZE})
+  fn assignActiveLights(@builtin(global_invocation_id) global_id : vec3<u32>,
+                        @builtin(local_invocation_index) local_index : u32) {
+    let valid = global_id.x < activeClusters.count;
+    assignClusterLights(getActiveTileIndex(global_id.x), valid, local_index, ${ACTIVE_CLUSTER_WORKGROUP_SIZE}u);
+  }
+#endif
+`;
+}
+
+// Read-only view of the masks built by ClusterMasksSource, for the fragment shader.
+export function ClusterMasksStructs(layout) { return wgsl`
+  const lightMaskWordCount = ${layout.wordCount}u;
+  @group(3) @binding(0) var<storage> lightMasks : array<u32>;
+#if ${layout.zBinning}
+  @group(3) @binding(1) var<storage> zBinMasks : array<u32>;
+#endif
+`;
+}
+
+// assignLightMasks sets the bit for every light affecting each cluster. With z-binning the bits are ORed into the mask
+// of the cluster's 2D tile instead, which has to be cleared beforehand, and assignZBinMasks sets the bit for every light
+// whose depth range overlaps each slice.
+export function ClusterMasksSource(layout) { return wgsl`
+  ${ProjectionUniforms}
+  ${ViewUniforms}
+  ${LightUniforms}
+
+  ${ClusterStructs(layout.clusterConfig)}
+  @group(1) @binding(0) var<storage> clusters : Clusters;
+
+  @group(2) @binding(0) var<storage, read_write> lightMasks : array<atomic<u32>>;
+  @group(2) @binding(1) var<storage, read_write> zBinMasks : array<u32>;
+
+  ${TileFunctions(layout.clusterConfig)}
+  ${LightCullingFunctions}
+
+  const wordCount = ${layout.wordCount}u;
+
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn assignLightMasks(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    if (any(global_id >= tileCount)) {
+      return;
+    }
+
     let tileIndex = global_id.x +
                     global_id.y * tileCount.x +
                     global_id.z * tileCount.x * tileCount.y;
+#if ${layout.zBinning}
+    let maskOffset = (global_id.x + global_id.y * tileCount.x) * wordCount;
+#else
+    let maskOffset = tileIndex * wordCount;
+#endif
 
-    var clusterLightCount = 0u;
-    var cluserLightIndices : array<u32, ${MAX_LIGHTS_PER_CLUSTER}>;
-    for (var i = 0u; i < globalLights.lightCount; i = i + 1u) {
-      let range = globalLights.lights[i].range;
-      // Lights without an explicit range affect every cluster, but this is a poor way to handle that.
-      var lightInCluster = range <= 0.0;
+    let minAABB = clusters.bounds[tileIndex].minAABB;
+    let maxAABB = clusters.bounds[tileIndex].maxAABB;
 
-      if (!lightInCluster) {
-        let lightViewPos = view.matrix * vec4<f32>(globalLights.lights[i].position, 1.0);
-        let sqDist = sqDistPointAABB(lightViewPos.xyz, clusters.bounds[tileIndex].minAABB, clusters.bounds[tileIndex].maxAABB);
-        lightInCluster = sqDist <= (range * range);
+    // Words past the last light are never read, so they're left alone.
+    let lightCount = min(globalLights.lightCount, wordCount * 32u);
+    let usedWordCount = (lightCount + 31u) / 32u;
+    for (var word = 0u; word < usedWordCount; word = word + 1u) {
+      var bits = 0u;
+      let wordLightCount = min(lightCount - word * 32u, 32u);
+      for (var bit = 0u; bit < wordLightCount; bit = bit + 1u) {
+        if (viewLightIntersectsAABB(getViewLight(word * 32u + bit), minAABB, maxAABB)) {
+          bits = bits | (1u << bit);
+        }
+      }
+#if ${layout.zBinning}
+      if (bits != 0u) {
+        atomicOr(&lightMasks[maskOffset + word], bits);
       }
+#else
+      atomicStore(&lightMasks[maskOffset + word], bits);
+#endif
+    }
+  }
 
-      if (lightInCluster) {
-        // Light affects this cluster. Add it to the list.
-        cluserLightIndices[clusterLightCount] = i;
-        clusterLightCount = clusterLightCount + 1u;
+  @compute @workgroup_size(${ZBIN_WORKGROUP_SIZE})
+  fn assignZBinMasks(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    let slice = global_id.x;
+    if (slice >= tileCount.z) {
+      return;
+    }
+
+    let sliceNear = getSliceDepth(slice);
+    let sliceFar = getSliceDepth(slice + 1u);
+
+    let lightCount = min(globalLights.lightCount, wordCount * 32u);
+    let usedWordCount = (lightCount + 31u) / 32u;
+    for (var word = 0u; word < usedWordCount; word = word + 1u) {
+      var bits = 0u;
+      let wordLightCount = min(lightCount - word * 32u, 32u);
+      for (var bit = 0u; bit < wordLightCount; bit = bit + 1u) {
+        let light = getViewLight(word * 32u + bit);
+        // Lights with an infinite range are handled as directional lights, see viewLightIntersectsAABB.
+        if (light.range <= 0.0) {
+          continue;
+        }
+        let lightDepth = -light.position.z;
+        if (lightDepth + light.range >= sliceNear && lightDepth - light.range <= sliceFar) {
+          bits = bits | (1u << bit);
+        }
       }
+      zBinMasks[slice * wordCount + word] = bits;
+    }
+  }
+`;
+}
 
-      if (clusterLightCount == ${MAX_LIGHTS_PER_CLUSTER}u) {
-        break;
+// Builds the list of clusters that contain visible geometry from the depth prepass. markClusters flags the cluster
+// under every pixel, compactClusters gathers the flagged clusters into the active cluster list (clearing the flags for
+// the next frame), and writeDispatchArgs writes the workgroup count used to dispatch the light passes over that list.
+//
+// Blended primitives aren't drawn in the depth prepass, so when the scene has any markDepthRange should be set. Every
+// cluster between the camera and the nearest opaque surface is then marked, since any of them could hold a blended
+// surface.
+export function ActiveClustersSource(config, markDepthRange) { return wgsl`
+  ${ProjectionUniforms}
+  ${ClusterLightsStructs(config)}
+  ${ClusterOverflowStructs(config)}
+  ${TileFunctions(config)}
+
+  struct ActiveClusterList {
+    count : atomic<u32>,
+    indices : array<u32, ${config.totalTiles}>
+  };
+
+  @group(1) @binding(0) var depthTexture : texture_depth_2d;
+  @group(1) @binding(1) var<storage, read_write> clusterFlags : array<atomic<u32>, ${config.totalTiles}>;
+  @group(1) @binding(2) var<storage, read_write> activeClusters : ActiveClusterList;
+  @group(1) @binding(3) var<storage, read_write> dispatchArgs : array<u32, 3>;
+
+  const totalTiles = ${config.totalTiles}u;
+
+  fn markCluster(tile : vec3<u32>) {
+    let tileIndex = tile.x +
+                    tile.y * tileCount.x +
+                    tile.z * tileCount.x * tileCount.y;
+    atomicStore(&clusterFlags[tileIndex], 1u);
+  }
+
+  @compute @workgroup_size(${MARK_WORKGROUP_SIZE[0]}, ${MARK_WORKGROUP_SIZE[1]})
+  fn markClusters(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    if (any(global_id.xy >= textureDimensions(depthTexture))) {
+      return;
+    }
+
+    let depth = textureLoad(depthTexture, vec2<i32>(global_id.xy), 0);
+#if ${!markDepthRange}
+    if (depth >= 1.0) {
+      return; // Nothing was drawn here.
+    }
+#endif
+
+    // Treat the pixel center like a fragment coordinate. The far plane lands just past the last slice, so clamp to the
+    // grid.
+    let fragCoord = vec4<f32>(vec2<f32>(global_id.xy) + vec2<f32>(0.5, 0.5), depth, 1.0);
+    let tile = min(getTile(fragCoord), tileCount - vec3<u32>(1u, 1u, 1u));
+
+#if ${markDepthRange}
+    for (var z = 0u; z <= tile.z; z = z + 1u) {
+      markCluster(vec3<u32>(tile.xy, z));
+    }
+#else
+    markCluster(tile);
+#endif
+  }
+
+  @compute @workgroup_size(${ACTIVE_CLUSTER_WORKGROUP_SIZE})
+  fn compactClusters(@builtin(global_invocation_id) global_id : vec3<u32>) {
+    let tileIndex = global_id.x;
+    if (tileIndex >= totalTiles) {
+      return;
+    }
+
+    if (atomicExchange(&clusterFlags[tileIndex], 0u) == 0u) {
+      // The light passes skip inactive clusters, so clear out anything left over from previous frames.
+      clusterLights.lights[tileIndex].count = 0u;
+      clusterOverflow.rejectedLights[tileIndex] = 0u;
+      return;
+    }
+
+    let activeIndex = atomicAdd(&activeClusters.count, 1u);
+    activeClusters.indices[activeIndex] = tileIndex;
+  }
+
+  @compute @workgroup_size(1)
+  fn writeDispatchArgs() {
+    let workgroupSize = ${ACTIVE_CLUSTER_WORKGROUP_SIZE}u;
+    dispatchArgs[0] = (atomicLoad(&activeClusters.count) + workgroupSize - 1u) / workgroupSize;
+    dispatchArgs[1] = 1u;
+    dispatchArgs[2] = 1u;
+  }
+`;
+}
+
+// Turns the per-cluster light counts into offsets into the light index list with a parallel (exclusive) prefix sum.
+// scanBlocks sums each block of SCAN_WORKGROUP_SIZE clusters, scanBlockSums computes the offset of each block and the
+// total, and addBlockOffsets adds the block offsets back on to each cluster's offset.
+export function ClusterLightsScanSource(config) { return `
+  ${ClusterLightsStructs(config)}
+  @group(1) @binding(0) var<storage, read_write> blockSums : array<u32>;
+
+  const totalTiles = ${config.totalTiles}u;
+  const blockCount = ${config.scanBlockCount}u;
+  const maxLightsPerCluster = ${config.maxLightsPerCluster}u;
+  const workgroupSize = ${SCAN_WORKGROUP_SIZE}u;
+
+  var<workgroup> scratch : array<u32, ${SCAN_WORKGROUP_SIZE}>;
+
+  // Inclusive Hillis-Steele scan of scratch. Must be called from uniform control flow.
+  fn scanScratch(localIndex : u32) {
+    for (var stride = 1u; stride < workgroupSize; stride = stride * 2u) {
+      var addend = 0u;
+      if (localIndex >= stride) {
+        addend = scratch[localIndex - stride];
+      }
+      workgroupBarrier();
+      scratch[localIndex] = scratch[localIndex] + addend;
+      workgroupBarrier();
+    }
+  }
+
+  @compute @workgroup_size(${SCAN_WORKGROUP_SIZE})
+  fn scanBlocks(@builtin(global_invocation_id) global_id : vec3<u32>,
+                @builtin(local_invocation_id) local_id : vec3<u32>,
+                @builtin(workgroup_id) workgroup_id : vec3<u32>) {
+    let tileIndex = global_id.x;
+    var count = 0u;
+    if (tileIndex < totalTiles) {
+      count = clusterLights.lights[tileIndex].count;
+      // Clusters over the limit only get room for the lights they'll keep. The full count is left in place so the
+      // assignment pass can tell how many were dropped.
+      if (maxLightsPerCluster > 0u) {
+        count = min(count, maxLightsPerCluster);
       }
     }
+    scratch[local_id.x] = count;
+    workgroupBarrier();
 
-    var offset = atomicAdd(&clusterLights.offset, clusterLightCount);
+    scanScratch(local_id.x);
 
-    for(var i = 0u; i < clusterLightCount; i = i + 1u) {
-      clusterLights.indices[offset + i] = cluserLightIndices[i];
+    if (tileIndex < totalTiles) {
+      clusterLights.lights[tileIndex].offset = scratch[local_id.x] - count;
+    }
+    if (local_id.x == workgroupSize - 1u) {
+      blockSums[workgroup_id.x] = scratch[local_id.x];
+    }
+  }
+
+  // Dispatched as a single workgroup, which walks over the block sums in chunks.
+  @compute @workgroup_size(${SCAN_WORKGROUP_SIZE})
+  fn scanBlockSums(@builtin(local_invocation_id) local_id : vec3<u32>) {
+    var carry = 0u;
+    for (var chunk = 0u; chunk < blockCount; chunk = chunk + workgroupSize) {
+      let blockIndex = chunk + local_id.x;
+      var blockSum = 0u;
+      if (blockIndex < blockCount) {
+        blockSum = blockSums[blockIndex];
+      }
+      scratch[local_id.x] = blockSum;
+      workgroupBarrier();
+
+      scanScratch(local_id.x);
+
+      if (blockIndex < blockCount) {
+        blockSums[blockIndex] = carry + scratch[local_id.x] - blockSum;
+      }
+      carry = carry + scratch[workgroupSize - 1u];
+      workgroupBarrier();
+    }
+
+    if (local_id.x == 0u) {
+      clusterLights.indexCount = carry;
+    }
+  }
+
+  @compute @workgroup_size(${SCAN_WORKGROUP_SIZE})
+  fn addBlockOffsets(@builtin(global_invocation_id) global_id : vec3<u32>,
+                     @builtin(workgroup_id) workgroup_id : vec3<u32>) {
+    let tileIndex = global_id.x;
+    if (tileIndex < totalTiles) {
+      clusterLights.lights[tileIndex].offset = clusterLights.lights[tileIndex].offset + blockSums[workgroup_id.x];
     }
-    clusterLights.lights[tileIndex].offset = offset;
-    clusterLights.lights[tileIndex].count = clusterLightCount;
   }
 `;
+}
@@ -19,6 +19,7 @@
 // SOFTWARE.
 
 import { wgsl } from '../wgsl-debug-helper.js';
+import { MAX_DIRECTIONAL_LIGHTS } from '../../light-constants.js';
 
 export const ATTRIB_MAP = {
   POSITION: 1,
@@ -26,6 +27,8 @@ export const ATTRIB_MAP = {
   TANGENT: 3,
   TEXCOORD_0: 4,
   COLOR_0: 5,
+  JOINTS_0: 6,
+  WEIGHTS_0: 7,
 };
 
 export const BIND_GROUP = {
@@ -34,16 +37,28 @@ export const BIND_GROUP = {
   Model: 2,
 };
 
-export const ProjectionUniformsSize = 144;
+export const ProjectionUniformsSize = 160;
 export const ProjectionUniforms = `
+  const ProjectionMode_Perspective = 0u;
+  const ProjectionMode_Orthographic = 1u;
+
   struct ProjectionUniforms {
     matrix : mat4x4<f32>,
     inverseMatrix : mat4x4<f32>,
     outputSize : vec2<f32>,
     zNear : f32,
-    zFar : f32
+    zFar : f32,
+    mode : u32
   };
   @group(${BIND_GROUP.Frame}) @binding(0) var<uniform> projection : ProjectionUniforms;
+
+  // Converts a depth buffer value to a (positive) view space depth.
+  fn linearDepth(depthSample : f32) -> f32 {
+    if (projection.mode == ProjectionMode_Orthographic) {
+      return mix(projection.zNear, projection.zFar, depthSample);
+    }
+    return projection.zFar*projection.zNear / fma(depthSample, projection.zNear-projection.zFar, projection.zFar);
+  }
 `;
 
 export const ViewUniformsSize = 80;
@@ -56,16 +71,30 @@ export const ViewUniforms = `
 `;
 
 export const LightUniforms = `
+  const LightType_Point = 0u;
+  const LightType_Spot = 1u;
+  const LightType_Directional = 2u;
+
   struct Light {
     position : vec3<f32>,
     range : f32,
     color : vec3<f32>,
-    intensity : f32
+    lightType : u32,
+    direction : vec3<f32>, // Spot lights only
+    outerConeCos : f32, // Spot lights only
+    innerConeCos : f32 // Spot lights only
+  };
+
+  struct DirectionalLight {
+    direction : vec3<f32>,
+    color : vec3<f32>
   };
 
   struct GlobalLightUniforms {
     ambient : vec3<f32>,
     lightCount : u32,
+    directionalLightCount : u32,
+    directionalLights : array<DirectionalLight, ${MAX_DIRECTIONAL_LIGHTS}>,
     lights : array<Light>
   };
   @group(${BIND_GROUP.Frame}) @binding(2) var<storage> globalLights : GlobalLightUniforms;
@@ -79,11 +108,56 @@ export const ModelUniforms = `
   @group(${BIND_GROUP.Model}) @binding(0) var<uniform> model : ModelUniforms;
 `;
 
+// Joint matrices for skinned primitives. Non-skinned primitives bind a single identity matrix here.
+export const SkinUniforms = `
+  @group(${BIND_GROUP.Model}) @binding(1) var<storage> jointMatrices : array<mat4x4<f32>>;
+
+  fn getSkinMatrix(joints : vec4<u32>, weights : vec4<f32>) -> mat4x4<f32> {
+    return jointMatrices[joints.x] * weights.x +
+           jointMatrices[joints.y] * weights.y +
+           jointMatrices[joints.z] * weights.z +
+           jointMatrices[joints.w] * weights.w;
+  }
+`;
+
+// Morph target deltas are stored as target-major arrays of MorphTargetDelta, indexed by vertex_index.
+export const MorphTargetUniforms = `
+  struct MorphTargetDelta {
+    position : vec3<f32>,
+    normal : vec3<f32>,
+    tangent : vec3<f32>
+  };
+
+  struct MorphTargets {
+    vertexCount : u32,
+    targetCount : u32,
+    deltas : array<MorphTargetDelta>
+  };
+  @group(${BIND_GROUP.Model}) @binding(2) var<storage> morphTargets : MorphTargets;
+  @group(${BIND_GROUP.Model}) @binding(3) var<storage> morphWeights : array<f32>;
+
+  fn getMorphTargetDelta(vertexIndex : u32) -> MorphTargetDelta {
+    var result : MorphTargetDelta;
+    for (var i = 0u; i < morphTargets.targetCount; i = i + 1u) {
+      let weight = morphWeights[i];
+      if (weight == 0.0) {
+        continue;
+      }
+      let delta = morphTargets.deltas[i * morphTargets.vertexCount + vertexIndex];
+      result.position = result.position + delta.position * weight;
+      result.normal = result.normal + delta.normal * weight;
+      result.tangent = result.tangent + delta.tangent * weight;
+    }
+    return result;
+  }
+`;
+
 export const MaterialUniformsSize = 48;
 export const MaterialUniforms = `
   struct MaterialUniforms {
     baseColorFactor : vec4<f32>,
     metallicRoughnessFactor : vec2<f32>,
+    alphaCutoff : f32,
     emissiveFactor : vec3<f32>,
     occlusionStrength : f32
   };
@@ -129,13 +203,14 @@ export const ColorConversions = wgsl`
 #endif
 `;
 
-export const SimpleVertexSource = `
+export function SimpleVertexSource(defines) { return `
   ${ProjectionUniforms}
   ${ViewUniforms}
   ${ModelUniforms}
 
   @vertex
-  fn main(@location(${ATTRIB_MAP.POSITION}) POSITION : vec3<f32>) -> @builtin(position) vec4<f32> {
-    return projection.matrix * view.matrix * model.matrix * vec4<f32>(POSITION, 1.0);
+  fn main(@location(${ATTRIB_MAP.POSITION}) POSITION : vec3<${defines.POSITION_TYPE || 'f32'}>) -> @builtin(position) vec4<f32> {
+    return projection.matrix * view.matrix * model.matrix * vec4<f32>(vec3<f32>(POSITION), 1.0);
   }
 `;
+}
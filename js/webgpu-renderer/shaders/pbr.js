@@ -19,8 +19,10 @@
 // SOFTWARE.
 
 import { wgsl } from '../wgsl-debug-helper.js';
-import { ProjectionUniforms, ViewUniforms, ModelUniforms, LightUniforms, MaterialUniforms, ColorConversions, ATTRIB_MAP } from '../shaders/common.js';
-import { ClusterLightsStructs, TileFunctions } from '../shaders/clustered-compute.js';
+import { ProjectionUniforms, ViewUniforms, ModelUniforms, SkinUniforms, MorphTargetUniforms, LightUniforms, MaterialUniforms, ColorConversions, ATTRIB_MAP } from '../shaders/common.js';
+import { ClusterLightsStructs, ClusterMasksStructs, TileFunctions } from '../shaders/clustered-compute.js';
+import { TileLightsStructs, TileIndexFunctions } from '../shaders/tiled-compute.js';
+import { ShadowFunctions } from '../shaders/shadow.js';
 
 function PBR_VARYINGS(defines) { return wgsl`
 struct VertexOutput {
@@ -43,16 +45,29 @@ export function PBRVertexSource(defines) { return wgsl`
   ${ProjectionUniforms}
   ${ViewUniforms}
   ${ModelUniforms}
+#if ${defines.USE_SKINNING}
+  ${SkinUniforms}
+#endif
+#if ${defines.USE_MORPH_TARGETS}
+  ${MorphTargetUniforms}
+#endif
 
   struct VertexInputs {
-    @location(${ATTRIB_MAP.POSITION}) position : vec3<f32>,
+    @location(${ATTRIB_MAP.POSITION}) position : vec3<${defines.POSITION_TYPE || 'f32'}>,
     @location(${ATTRIB_MAP.NORMAL}) normal : vec3<f32>,
-    @location(${ATTRIB_MAP.TEXCOORD_0}) texCoord : vec2<f32>,
+    @location(${ATTRIB_MAP.TEXCOORD_0}) texCoord : vec2<${defines.TEXCOORD_0_TYPE || 'f32'}>,
 #if ${defines.USE_NORMAL_MAP}
     @location(${ATTRIB_MAP.TANGENT}) tangent : vec4<f32>,
 #endif
 #if ${defines.USE_VERTEX_COLOR}
     @location(${ATTRIB_MAP.COLOR_0}) color : vec4<f32>,
+#endif
+#if ${defines.USE_SKINNING}
+    @location(${ATTRIB_MAP.JOINTS_0}) joints : vec4<u32>,
+    @location(${ATTRIB_MAP.WEIGHTS_0}) weights : vec4<f32>,
+#endif
+#if ${defines.USE_MORPH_TARGETS}
+    @builtin(vertex_index) vertexIndex : u32,
 #endif
   };
 
@@ -61,10 +76,32 @@ export function PBRVertexSource(defines) { return wgsl`
   @vertex
   fn main(input : VertexInputs) -> VertexOutput {
     var output : VertexOutput;
-    output.normal = normalize((model.matrix * vec4<f32>(input.normal, 0.0)).xyz);
+
+#if ${defines.USE_SKINNING}
+    let modelMatrix = getSkinMatrix(input.joints, input.weights);
+#else
+    let modelMatrix = model.matrix;
+#endif
+
+    var position = vec3<f32>(input.position);
+    var normal = input.normal;
+#if ${defines.USE_NORMAL_MAP}
+    var tangent = input.tangent.xyz;
+#endif
+
+#if ${defines.USE_MORPH_TARGETS}
+    let morphDelta = getMorphTargetDelta(input.vertexIndex);
+    position = position + morphDelta.position;
+    normal = normal + morphDelta.normal;
+#if ${defines.USE_NORMAL_MAP}
+    tangent = tangent + morphDelta.tangent;
+#endif
+#endif
+
+    output.normal = normalize((modelMatrix * vec4<f32>(normal, 0.0)).xyz);
 
 #if ${defines.USE_NORMAL_MAP}
-    output.tangent = normalize((model.matrix * vec4<f32>(input.tangent.xyz, 0.0)).xyz);
+    output.tangent = normalize((modelMatrix * vec4<f32>(tangent, 0.0)).xyz);
     output.bitangent = cross(output.normal, output.tangent) * input.tangent.w;
 #endif
 
@@ -74,8 +111,8 @@ export function PBRVertexSource(defines) { return wgsl`
     output.color = vec4<f32>(1.0, 1.0, 1.0, 1.0);
 #endif
 
-    output.texCoord = input.texCoord;
-    let modelPos = model.matrix * vec4<f32>(input.position, 1.0);
+    output.texCoord = vec2<f32>(input.texCoord);
+    let modelPos = modelMatrix * vec4<f32>(position, 1.0);
     output.worldPos = modelPos.xyz;
     output.view = view.position - modelPos.xyz;
     output.position = projection.matrix * view.matrix * modelPos;
@@ -83,9 +120,7 @@ export function PBRVertexSource(defines) { return wgsl`
   }`;
 }
 
-function PBRSurfaceInfo(defines) { return wgsl`
-  ${PBR_VARYINGS(defines)}
-
+const SurfaceInfoStruct = `
   struct SurfaceInfo {
     baseColor : vec4<f32>,
     albedo : vec3<f32>,
@@ -97,6 +132,11 @@ function PBRSurfaceInfo(defines) { return wgsl`
     emissive : vec3<f32>,
     v : vec3<f32>
   };
+`;
+
+function PBRSurfaceInfo(defines) { return wgsl`
+  ${PBR_VARYINGS(defines)}
+  ${SurfaceInfoStruct}
 
   fn GetSurfaceInfo(input : VertexOutput) -> SurfaceInfo {
     var surface : SurfaceInfo;
@@ -143,6 +183,24 @@ function PBRSurfaceInfo(defines) { return wgsl`
 
     return surface;
   }
+
+  // Applies the material's alpha mode, returning the alpha that should be written out.
+  fn GetOutputAlpha(alpha : f32) -> f32 {
+#if ${defines.ALPHA_MASK}
+#if ${defines.ALPHA_TO_COVERAGE}
+    // Sharpen the alpha around the cutoff so that alpha-to-coverage gives crisp, anti-aliased edges rather than
+    // dithering across the whole gradient.
+    return (alpha - material.alphaCutoff) / max(fwidth(alpha), 0.0001) + 0.5;
+#else
+    if (alpha < material.alphaCutoff) {
+      discard;
+    }
+    return 1.0;
+#endif
+#else
+    return alpha;
+#endif
+  }
 `; }
 
 // Much of the shader used here was pulled from https://learnopengl.com/PBR/Lighting
@@ -150,18 +208,40 @@ function PBRSurfaceInfo(defines) { return wgsl`
 const PBRFunctions = `
 const PI = ${Math.PI};
 
-const LightType_Point = 0u;
-const LightType_Spot = 1u;
-const LightType_Directional = 2u;
-
 struct PuctualLight {
   lightType : u32,
   pointToLight : vec3<f32>,
   range : f32,
   color : vec3<f32>,
-  intensity : f32
+  intensity : f32,
+  direction : vec3<f32>,
+  outerConeCos : f32,
+  innerConeCos : f32
 };
 
+fn getPunctualLight(index : u32, worldPos : vec3<f32>) -> PuctualLight {
+  var light : PuctualLight;
+  light.lightType = globalLights.lights[index].lightType;
+  light.pointToLight = globalLights.lights[index].position.xyz - worldPos;
+  light.range = globalLights.lights[index].range;
+  light.color = globalLights.lights[index].color;
+  light.intensity = 1.0;
+  light.direction = globalLights.lights[index].direction;
+  light.outerConeCos = globalLights.lights[index].outerConeCos;
+  light.innerConeCos = globalLights.lights[index].innerConeCos;
+  return light;
+}
+
+fn getDirectionalLight(index : u32) -> PuctualLight {
+  var light : PuctualLight;
+  light.lightType = LightType_Directional;
+  light.pointToLight = -globalLights.directionalLights[index].direction;
+  light.range = -1.0;
+  light.color = globalLights.directionalLights[index].color;
+  light.intensity = 1.0;
+  return light;
+}
+
 fn FresnelSchlick(cosTheta : f32, F0 : vec3<f32>) -> vec3<f32> {
   return F0 + (vec3<f32>(1.0, 1.0, 1.0) - F0) * pow(1.0 - cosTheta, 5.0);
 }
@@ -205,6 +285,13 @@ fn rangeAttenuation(range : f32, distance : f32) -> f32 {
   return clamp(1.0 - pow(distance / range, 4.0), 0.0, 1.0) / pow(distance, 2.0);
 }
 
+// Smooth falloff between the inner and outer cone, as recommended by the KHR_lights_punctual spec.
+fn spotAttenuation(light : PuctualLight, L : vec3<f32>) -> f32 {
+  let cd = dot(normalize(light.direction), -L);
+  let t = clamp((cd - light.outerConeCos) / max(light.innerConeCos - light.outerConeCos, 0.0001), 0.0, 1.0);
+  return t * t;
+}
+
 fn lightRadiance(light : PuctualLight, surface : SurfaceInfo) -> vec3<f32> {
   let L = normalize(light.pointToLight);
   let H = normalize(surface.v + L);
@@ -224,18 +311,42 @@ fn lightRadiance(light : PuctualLight, surface : SurfaceInfo) -> vec3<f32> {
   let specular = numerator / vec3<f32>(denominator, denominator, denominator);
 
   // add to outgoing radiance Lo
-  let attenuation = rangeAttenuation(light.range, distance);
+  var attenuation = 1.0;
+  if (light.lightType != LightType_Directional) {
+    attenuation = rangeAttenuation(light.range, distance);
+  }
+  if (light.lightType == LightType_Spot) {
+    attenuation = attenuation * spotAttenuation(light, L);
+  }
   let radiance = light.color * light.intensity * attenuation;
   return (kD * surface.albedo / vec3<f32>(PI, PI, PI) + specular) * radiance * NdotL;
 }`;
 
-export function PBRClusteredFragmentSource(defines) { return `
+// Only needed for alpha masked materials, everything else is drawn into the depth prepass without a fragment shader.
+export function PBRDepthPrepassFragmentSource(defines) { return wgsl`
+  ${MaterialUniforms}
+  ${PBR_VARYINGS(defines)}
+
+  @fragment
+  fn main(input : VertexOutput) {
+    var alpha = material.baseColorFactor.a * input.color.a;
+#if ${defines.USE_BASE_COLOR_MAP}
+    alpha = alpha * textureSample(baseColorTexture, defaultSampler, input.texCoord).a;
+#endif
+    if (alpha < material.alphaCutoff) {
+      discard;
+    }
+  }`;
+}
+
+export function PBRClusteredFragmentSource(defines, clusterConfig) { return `
   ${ColorConversions}
   ${ProjectionUniforms}
-  ${ClusterLightsStructs}
+  ${ClusterLightsStructs(clusterConfig)}
   ${MaterialUniforms}
   ${LightUniforms}
-  ${TileFunctions}
+  ${ShadowFunctions}
+  ${TileFunctions(clusterConfig)}
 
   ${PBRSurfaceInfo(defines)}
   ${PBRFunctions}
@@ -243,9 +354,7 @@ export function PBRClusteredFragmentSource(defines) { return `
   @fragment
   fn main(input : VertexOutput) -> @location(0) vec4<f32> {
     let surface = GetSurfaceInfo(input);
-    if (surface.baseColor.a < 0.05) {
-      discard;
-    }
+    let alpha = GetOutputAlpha(surface.baseColor.a);
 
     // reflectance equation
     var Lo = vec3<f32>(0.0, 0.0, 0.0);
@@ -256,27 +365,247 @@ export function PBRClusteredFragmentSource(defines) { return `
 
     for (var lightIndex = 0u; lightIndex < lightCount; lightIndex = lightIndex + 1u) {
       let i = clusterLights.indices[lightOffset + lightIndex];
+      let light = getPunctualLight(i, input.worldPos);
+
+      // calculate per-light radiance and add to outgoing radiance Lo
+      Lo = Lo + lightRadiance(light, surface);
+    }
+
+    for (var i = 0u; i < globalLights.directionalLightCount; i = i + 1u) {
+      Lo = Lo + lightRadiance(getDirectionalLight(i), surface) * directionalShadow(i, input.worldPos, surface.normal);
+    }
 
-      var light : PuctualLight;
-      light.lightType = LightType_Point;
-      light.pointToLight = globalLights.lights[i].position.xyz - input.worldPos;
-      light.range = globalLights.lights[i].range;
-      light.color = globalLights.lights[i].color;
-      light.intensity = 1.0;
+    let ambient = globalLights.ambient * surface.albedo * surface.ao;
+    let color = linearTosRGB(Lo + ambient + surface.emissive);
+    return vec4<f32>(color, alpha);
+  }`;
+};
+
+// Like PBRClusteredFragmentSource, but walks the set bits of the cluster's light masks (see ClusterMaskLayout).
+export function PBRClusteredMaskFragmentSource(defines, maskLayout) { return wgsl`
+  ${ColorConversions}
+  ${ProjectionUniforms}
+  ${MaterialUniforms}
+  ${LightUniforms}
+  ${ShadowFunctions}
+  ${TileFunctions(maskLayout.clusterConfig)}
+  ${ClusterMasksStructs(maskLayout)}
+
+  ${PBRSurfaceInfo(defines)}
+  ${PBRFunctions}
+
+  @fragment
+  fn main(input : VertexOutput) -> @location(0) vec4<f32> {
+    let surface = GetSurfaceInfo(input);
+    let alpha = GetOutputAlpha(surface.baseColor.a);
+
+    // reflectance equation
+    var Lo = vec3<f32>(0.0, 0.0, 0.0);
+
+    let tile = min(getTile(input.position), tileCount - vec3<u32>(1u, 1u, 1u));
+#if ${maskLayout.zBinning}
+    let maskOffset = (tile.x + tile.y * tileCount.x) * lightMaskWordCount;
+    let zBinOffset = tile.z * lightMaskWordCount;
+#else
+    let maskOffset = (tile.x + tile.y * tileCount.x + tile.z * tileCount.x * tileCount.y) * lightMaskWordCount;
+#endif
+
+    let usedWordCount = min((globalLights.lightCount + 31u) / 32u, lightMaskWordCount);
+    for (var word = 0u; word < usedWordCount; word = word + 1u) {
+#if ${maskLayout.zBinning}
+      var bits = lightMasks[maskOffset + word] & zBinMasks[zBinOffset + word];
+#else
+      var bits = lightMasks[maskOffset + word];
+#endif
+      while (bits != 0u) {
+        let bit = firstTrailingBit(bits);
+        bits = bits & (bits - 1u); // Clear the lowest set bit.
+
+        let light = getPunctualLight(word * 32u + bit, input.worldPos);
+
+        // calculate per-light radiance and add to outgoing radiance Lo
+        Lo = Lo + lightRadiance(light, surface);
+      }
+    }
+
+    for (var i = 0u; i < globalLights.directionalLightCount; i = i + 1u) {
+      Lo = Lo + lightRadiance(getDirectionalLight(i), surface) * directionalShadow(i, input.worldPos, surface.normal);
+    }
+
+    let ambient = globalLights.ambient * surface.albedo * surface.ao;
+    let color = linearTosRGB(Lo + ambient + surface.emissive);
+    return vec4<f32>(color, alpha);
+  }`;
+};
+
+export function PBRTiledFragmentSource(defines) { return `
+  ${ColorConversions}
+  ${ProjectionUniforms}
+  ${MaterialUniforms}
+  ${LightUniforms}
+  ${ShadowFunctions}
+  ${TileLightsStructs}
+  ${TileIndexFunctions}
+  @group(3) @binding(0) var<storage> tileLights : array<TileLights>;
+
+  ${PBRSurfaceInfo(defines)}
+  ${PBRFunctions}
+
+  @fragment
+  fn main(input : VertexOutput) -> @location(0) vec4<f32> {
+    let surface = GetSurfaceInfo(input);
+    let alpha = GetOutputAlpha(surface.baseColor.a);
+
+    // reflectance equation
+    var Lo = vec3<f32>(0.0, 0.0, 0.0);
+
+    let tileIndex = getTileIndex(input.position.xy);
+    let lightCount = tileLights[tileIndex].count;
+
+    for (var lightIndex = 0u; lightIndex < lightCount; lightIndex = lightIndex + 1u) {
+      let i = tileLights[tileIndex].indices[lightIndex];
+      let light = getPunctualLight(i, input.worldPos);
 
       // calculate per-light radiance and add to outgoing radiance Lo
       Lo = Lo + lightRadiance(light, surface);
     }
 
+    for (var i = 0u; i < globalLights.directionalLightCount; i = i + 1u) {
+      Lo = Lo + lightRadiance(getDirectionalLight(i), surface) * directionalShadow(i, input.worldPos, surface.normal);
+    }
+
     let ambient = globalLights.ambient * surface.albedo * surface.ao;
     let color = linearTosRGB(Lo + ambient + surface.emissive);
-    return vec4<f32>(color, surface.baseColor.a);
+    return vec4<f32>(color, alpha);
+  }`;
+};
+
+// Writes out everything from the SurfaceInfo that the deferred lighting pass needs. The formats of each target are
+// given by GBUFFER_FORMATS in webgpu-renderer.js.
+export function PBRGBufferFragmentSource(defines) { return `
+  ${MaterialUniforms}
+  ${PBRSurfaceInfo(defines)}
+
+  struct GBufferOutput {
+    @location(0) albedo : vec4<f32>, // albedo.rgb, ao
+    @location(1) normal : vec4<f32>, // World space normal
+    @location(2) metalRough : vec4<f32>, // metallic, roughness
+    @location(3) emissive : vec4<f32>
+  };
+
+  @fragment
+  fn main(input : VertexOutput) -> GBufferOutput {
+    let surface = GetSurfaceInfo(input);
+    // Alpha masking still applies, but the G-buffer has no use for the alpha itself.
+    GetOutputAlpha(surface.baseColor.a);
+
+    var output : GBufferOutput;
+    output.albedo = vec4<f32>(surface.albedo, surface.ao);
+    output.normal = vec4<f32>(surface.normal, 0.0);
+    output.metalRough = vec4<f32>(surface.metallic, surface.roughness, 0.0, 0.0);
+    output.emissive = vec4<f32>(surface.emissive, 1.0);
+    return output;
+  }`;
+};
+
+// A single triangle that covers the whole screen.
+export const FullscreenVertexSource = `
+  @vertex
+  fn main(@builtin(vertex_index) vertexIndex : u32) -> @builtin(position) vec4<f32> {
+    let uv = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    return vec4<f32>(uv * 2.0 - vec2<f32>(1.0, 1.0), 0.0, 1.0);
+  }
+`;
+
+// Lights the G-buffer using the same cluster light lists as the clustered forward path. Also writes the G-buffer depth
+// out so anything drawn afterwards (blended primitives, light sprites) is depth tested against the scene.
+export function PBRClusteredDeferredFragmentSource(clusterConfig) { return `
+  ${ColorConversions}
+  ${ProjectionUniforms}
+  ${ViewUniforms}
+  ${ClusterLightsStructs(clusterConfig)}
+  ${LightUniforms}
+  ${ShadowFunctions}
+  ${TileFunctions(clusterConfig)}
+
+  @group(1) @binding(0) var albedoTexture : texture_2d<f32>;
+  @group(1) @binding(1) var normalTexture : texture_2d<f32>;
+  @group(1) @binding(2) var metalRoughTexture : texture_2d<f32>;
+  @group(1) @binding(3) var emissiveTexture : texture_2d<f32>;
+  @group(1) @binding(4) var depthTexture : texture_depth_2d;
+
+  ${SurfaceInfoStruct}
+  ${PBRFunctions}
+
+  // The view matrix only ever contains a rotation and translation, so it can be inverted without a full matrix inverse.
+  fn viewToWorld(viewPos : vec3<f32>) -> vec3<f32> {
+    let rotation = mat3x3<f32>(view.matrix[0].xyz, view.matrix[1].xyz, view.matrix[2].xyz);
+    return transpose(rotation) * (viewPos - view.matrix[3].xyz);
+  }
+
+  struct FragmentOutput {
+    @location(0) color : vec4<f32>,
+    @builtin(frag_depth) depth : f32
+  };
+
+  @fragment
+  fn main(@builtin(position) fragCoord : vec4<f32>) -> FragmentOutput {
+    let texel = vec2<i32>(fragCoord.xy);
+    let depth = textureLoad(depthTexture, texel, 0);
+    if (depth >= 1.0) {
+      discard; // Nothing was drawn here, leave the clear color.
+    }
+
+    let texCoord = fragCoord.xy / projection.outputSize;
+    let clip = vec4<f32>(texCoord.x * 2.0 - 1.0, (1.0 - texCoord.y) * 2.0 - 1.0, depth, 1.0);
+    let viewPos = projection.inverseMatrix * clip;
+    let worldPos = viewToWorld(viewPos.xyz / viewPos.w);
+
+    let albedo = textureLoad(albedoTexture, texel, 0);
+    let metalRough = textureLoad(metalRoughTexture, texel, 0);
+
+    var surface : SurfaceInfo;
+    surface.albedo = albedo.rgb;
+    surface.ao = albedo.a;
+    surface.normal = normalize(textureLoad(normalTexture, texel, 0).xyz);
+    surface.metallic = metalRough.r;
+    surface.roughness = metalRough.g;
+    surface.emissive = textureLoad(emissiveTexture, texel, 0).rgb;
+    surface.v = normalize(view.position - worldPos);
+    let dielectricSpec = vec3<f32>(0.04, 0.04, 0.04);
+    surface.f0 = mix(dielectricSpec, surface.albedo, vec3<f32>(surface.metallic, surface.metallic, surface.metallic));
+
+    // reflectance equation
+    var Lo = vec3<f32>(0.0, 0.0, 0.0);
+
+    let clusterIndex = getClusterIndex(vec4<f32>(fragCoord.xy, depth, 1.0));
+    let lightOffset  = clusterLights.lights[clusterIndex].offset;
+    let lightCount   = clusterLights.lights[clusterIndex].count;
+
+    for (var lightIndex = 0u; lightIndex < lightCount; lightIndex = lightIndex + 1u) {
+      let i = clusterLights.indices[lightOffset + lightIndex];
+      let light = getPunctualLight(i, worldPos);
+
+      // calculate per-light radiance and add to outgoing radiance Lo
+      Lo = Lo + lightRadiance(light, surface);
+    }
+
+    for (var i = 0u; i < globalLights.directionalLightCount; i = i + 1u) {
+      Lo = Lo + lightRadiance(getDirectionalLight(i), surface) * directionalShadow(i, worldPos, surface.normal);
+    }
+
+    var output : FragmentOutput;
+    let ambient = globalLights.ambient * surface.albedo * surface.ao;
+    output.color = vec4<f32>(linearTosRGB(Lo + ambient + surface.emissive), 1.0);
+    output.depth = depth;
+    return output;
   }`;
 };
 
 export function PBRFragmentSource(defines) { return `
   ${ColorConversions}
   ${LightUniforms}
+  ${ShadowFunctions}
   ${MaterialUniforms}
 
   ${PBRSurfaceInfo(defines)}
@@ -285,24 +614,24 @@ export function PBRFragmentSource(defines) { return `
   @fragment
   fn main(input : VertexOutput) -> @location(0) vec4<f32> {
     let surface = GetSurfaceInfo(input);
+    let alpha = GetOutputAlpha(surface.baseColor.a);
 
     // reflectance equation
     var Lo = vec3<f32>(0.0, 0.0, 0.0);
 
     for (var i = 0u; i < globalLights.lightCount; i = i + 1u) {
-      var light : PuctualLight;
-      light.lightType = LightType_Point;
-      light.pointToLight = globalLights.lights[i].position.xyz - input.worldPos;
-      light.range = globalLights.lights[i].range;
-      light.color = globalLights.lights[i].color;
-      light.intensity = 1.0;
+      let light = getPunctualLight(i, input.worldPos);
 
       // calculate per-light radiance and add to outgoing radiance Lo
       Lo = Lo + lightRadiance(light, surface);
     }
 
+    for (var i = 0u; i < globalLights.directionalLightCount; i = i + 1u) {
+      Lo = Lo + lightRadiance(getDirectionalLight(i), surface) * directionalShadow(i, input.worldPos, surface.normal);
+    }
+
     let ambient = globalLights.ambient * surface.albedo * surface.ao;
     let color = linearTosRGB(Lo + ambient + surface.emissive);
-    return vec4<f32>(color, surface.baseColor.a);
+    return vec4<f32>(color, alpha);
   }`;
 }
\ No newline at end of file
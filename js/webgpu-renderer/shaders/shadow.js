@@ -0,0 +1,77 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { BIND_GROUP } from './common.js';
+import { MAX_SHADOW_CASCADES } from '../../light-constants.js';
+
+// Matches the uniform layout of ShadowCascades in renderer.js
+export const ShadowUniformsSize = 320;
+
+// Shadowing for the directional light picked by the cascade uniforms. Each lit fragment uses the first cascade that
+// reaches its view depth, and filters the shadow map with a 3x3 grid of comparison samples. The comparison sampler
+// blends between texels, so that covers a 4x4 texel area.
+export const ShadowFunctions = `
+  struct ShadowUniforms {
+    matrices : array<mat4x4<f32>, ${MAX_SHADOW_CASCADES}>,
+    splits : vec4<f32>,
+    texelSizes : vec4<f32>,
+    viewDepthPlane : vec4<f32>,
+    lightIndex : u32,
+    cascadeCount : u32,
+    bias : f32
+  };
+  @group(${BIND_GROUP.Frame}) @binding(6) var<uniform> shadow : ShadowUniforms;
+  @group(${BIND_GROUP.Frame}) @binding(7) var shadowMap : texture_depth_2d_array;
+  @group(${BIND_GROUP.Frame}) @binding(8) var shadowSampler : sampler_comparison;
+
+  // Returns how much of the given directional light reaches the surface, from 0 (fully shadowed) to 1.
+  fn directionalShadow(lightIndex : u32, worldPos : vec3<f32>, normal : vec3<f32>) -> f32 {
+    if (lightIndex != shadow.lightIndex || shadow.cascadeCount == 0u) {
+      return 1.0;
+    }
+
+    let viewDepth = dot(shadow.viewDepthPlane, vec4<f32>(worldPos, 1.0));
+    var cascade = 0u;
+    while (cascade < shadow.cascadeCount && viewDepth > shadow.splits[cascade]) {
+      cascade = cascade + 1u;
+    }
+    if (cascade == shadow.cascadeCount) {
+      return 1.0; // Past the last cascade.
+    }
+
+    // Pushing the position out along the normal, scaled to the cascade's texel size, keeps surfaces from shadowing
+    // themselves without the light leaks a constant depth bias causes at grazing angles.
+    let offsetPos = worldPos + normal * (shadow.bias * shadow.texelSizes[cascade]);
+    let shadowPos = shadow.matrices[cascade] * vec4<f32>(offsetPos, 1.0);
+    let texCoord = shadowPos.xy * vec2<f32>(0.5, -0.5) + vec2<f32>(0.5, 0.5);
+    let depth = min(shadowPos.z, 1.0);
+
+    // Sampled without derivatives, since the cascade isn't uniform across neighboring fragments.
+    let texelSize = 1.0 / vec2<f32>(textureDimensions(shadowMap));
+    var visibility = 0.0;
+    for (var y = -1; y <= 1; y = y + 1) {
+      for (var x = -1; x <= 1; x = x + 1) {
+        let sampleCoord = texCoord + vec2<f32>(f32(x), f32(y)) * texelSize;
+        visibility = visibility + textureSampleCompareLevel(shadowMap, shadowSampler, sampleCoord, cascade, depth);
+      }
+    }
+    return visibility / 9.0;
+  }
+`;
@@ -0,0 +1,208 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+// Tiled forward shading (aka Forward+): the screen is split into 2D tiles, each with its own light list built from
+// the depth range of the tile in the depth prepass. Mostly here as a baseline to compare clustered shading against.
+
+import { wgsl } from '../wgsl-debug-helper.js';
+import { ProjectionUniforms, ViewUniforms, LightUniforms } from './common.js';
+
+// Size of each tile, in pixels. The depth bounds pass uses one invocation per pixel, so this also sets its workgroup
+// size.
+export const TILE_SIZE = 16;
+
+// Each tile has room for a fixed number of lights. Any more than that are dropped.
+export const MAX_LIGHTS_PER_TILE = 256;
+
+// Number of invocations that test lights against each tile.
+const CULL_WORKGROUP_SIZE = 64;
+
+export function getTileCount(width, height) {
+  return [Math.ceil(width / TILE_SIZE), Math.ceil(height / TILE_SIZE)];
+}
+
+export const TileLightsSize = 4 + (4 * MAX_LIGHTS_PER_TILE);
+
+export const TileLightsStructs = `
+  struct TileLights {
+    count : u32,
+    indices : array<u32, ${MAX_LIGHTS_PER_TILE}>
+  };
+`;
+
+// Returns the index of the tile that contains the given fragment.
+export const TileIndexFunctions = `
+  const tileSize = ${TILE_SIZE}u;
+
+  fn getTileIndex(fragCoord : vec2<f32>) -> u32 {
+    let tileCountX = (u32(projection.outputSize.x) + tileSize - 1u) / tileSize;
+    let tile = vec2<u32>(fragCoord) / tileSize;
+    return tile.x + tile.y * tileCountX;
+  }
+`;
+
+// computeDepthBounds finds the view space depth range of the geometry in each tile, then cullLights tests every light
+// against the frustum formed by the tile's edges and depth range.
+//
+// Blended primitives aren't drawn in the depth prepass, so when the scene has any extendDepthRange should be set. Every
+// tile's range then starts at the near plane, since a blended surface could be anywhere in front of the nearest opaque
+// one, and tiles with nothing opaque in them reach all the way to the far plane.
+export function TileLightsSource(extendDepthRange) { return wgsl`
+  ${ProjectionUniforms}
+  ${ViewUniforms}
+  ${LightUniforms}
+  ${TileLightsStructs}
+
+  @group(1) @binding(0) var depthTexture : texture_depth_2d;
+  @group(1) @binding(1) var<storage, read_write> tileDepthBounds : array<vec2<f32>>;
+  @group(1) @binding(2) var<storage, read_write> tileLights : array<TileLights>;
+
+  const tileSize = ${TILE_SIZE}u;
+  const maxLightsPerTile = ${MAX_LIGHTS_PER_TILE}u;
+  const maxDepthBits = 0x7f7fffffu; // Largest finite f32
+
+  // Positive floats sort the same way as their bits, so the depth range can be found with integer atomics.
+  var<workgroup> tileMinDepth : atomic<u32>;
+  var<workgroup> tileMaxDepth : atomic<u32>;
+
+  @compute @workgroup_size(${TILE_SIZE}, ${TILE_SIZE})
+  fn computeDepthBounds(@builtin(global_invocation_id) global_id : vec3<u32>,
+                        @builtin(local_invocation_index) local_index : u32,
+                        @builtin(workgroup_id) workgroup_id : vec3<u32>,
+                        @builtin(num_workgroups) num_workgroups : vec3<u32>) {
+    if (local_index == 0u) {
+      atomicStore(&tileMinDepth, maxDepthBits);
+      atomicStore(&tileMaxDepth, 0u);
+    }
+    workgroupBarrier();
+
+    // Pixels that nothing was drawn to (depth 1.0) don't contribute, so a tile with no geometry ends up with a min
+    // depth larger than its max depth, which no light will pass. That doesn't hold when there may be blended surfaces
+    // in front of the background, so then they count as being at the far plane.
+    if (all(global_id.xy < textureDimensions(depthTexture))) {
+      let depth = textureLoad(depthTexture, vec2<i32>(global_id.xy), 0);
+      if (${extendDepthRange} || depth < 1.0) {
+        let depthBits = bitcast<u32>(linearDepth(depth));
+        atomicMin(&tileMinDepth, depthBits);
+        atomicMax(&tileMaxDepth, depthBits);
+      }
+    }
+    workgroupBarrier();
+
+    if (local_index == 0u) {
+      let tileIndex = workgroup_id.x + workgroup_id.y * num_workgroups.x;
+#if ${extendDepthRange}
+      let minDepth = projection.zNear;
+#else
+      let minDepth = bitcast<f32>(atomicLoad(&tileMinDepth));
+#endif
+      tileDepthBounds[tileIndex] = vec2<f32>(minDepth, bitcast<f32>(atomicLoad(&tileMaxDepth)));
+    }
+  }
+
+  fn screenToViewRay(screen : vec2<f32>) -> vec3<f32> {
+    let texCoord = screen / projection.outputSize;
+    let clip = vec4<f32>(vec2<f32>(texCoord.x, 1.0 - texCoord.y) * 2.0 - vec2<f32>(1.0, 1.0), 1.0, 1.0);
+    let view = projection.inverseMatrix * clip;
+    return view.xyz / view.w;
+  }
+
+  // Plane containing the view rays through two points on the tile's edge, facing towards the center of the tile. The
+  // rays start at the eye for perspective projections and run parallel to the view direction for orthographic ones.
+  fn getSidePlane(a : vec3<f32>, b : vec3<f32>, center : vec3<f32>) -> vec4<f32> {
+    var rayDir = a;
+    if (projection.mode == ProjectionMode_Orthographic) {
+      rayDir = vec3<f32>(0.0, 0.0, -1.0);
+    }
+    let normal = normalize(cross(b - a, rayDir));
+    let plane = vec4<f32>(normal, -dot(normal, a));
+    if (dot(plane.xyz, center) + plane.w < 0.0) {
+      return -plane;
+    }
+    return plane;
+  }
+
+  var<workgroup> tileLightCount : atomic<u32>;
+
+  @compute @workgroup_size(${CULL_WORKGROUP_SIZE})
+  fn cullLights(@builtin(local_invocation_index) local_index : u32,
+                @builtin(workgroup_id) workgroup_id : vec3<u32>,
+                @builtin(num_workgroups) num_workgroups : vec3<u32>) {
+    if (local_index == 0u) {
+      atomicStore(&tileLightCount, 0u);
+    }
+    workgroupBarrier();
+
+    let tileIndex = workgroup_id.x + workgroup_id.y * num_workgroups.x;
+    let depthBounds = tileDepthBounds[tileIndex];
+
+    let tileMin = vec2<f32>(workgroup_id.xy * tileSize);
+    let tileMax = min(tileMin + vec2<f32>(f32(tileSize)), projection.outputSize);
+    let topLeft = screenToViewRay(tileMin);
+    let topRight = screenToViewRay(vec2<f32>(tileMax.x, tileMin.y));
+    let bottomLeft = screenToViewRay(vec2<f32>(tileMin.x, tileMax.y));
+    let bottomRight = screenToViewRay(tileMax);
+    let center = screenToViewRay((tileMin + tileMax) * 0.5);
+
+    var planes : array<vec4<f32>, 4>;
+    planes[0] = getSidePlane(topLeft, topRight, center);
+    planes[1] = getSidePlane(topRight, bottomRight, center);
+    planes[2] = getSidePlane(bottomRight, bottomLeft, center);
+    planes[3] = getSidePlane(bottomLeft, topLeft, center);
+
+    for (var i = local_index; i < globalLights.lightCount; i = i + ${CULL_WORKGROUP_SIZE}u) {
+      let light = globalLights.lights[i];
+      // Lights with an infinite range belong in the directional light list.
+      if (light.range <= 0.0) {
+        continue;
+      }
+
+      // Bounding sphere test against the tile frustum. Spot lights are treated as if they were point lights, which is
+      // conservative but good enough for a baseline.
+      let lightViewPos = (view.matrix * vec4<f32>(light.position, 1.0)).xyz;
+      let lightDepth = -lightViewPos.z;
+      if (lightDepth + light.range < depthBounds.x || lightDepth - light.range > depthBounds.y) {
+        continue;
+      }
+
+      var inside = true;
+      for (var p = 0u; p < 4u; p = p + 1u) {
+        if (dot(planes[p].xyz, lightViewPos) + planes[p].w < -light.range) {
+          inside = false;
+          break;
+        }
+      }
+      if (!inside) {
+        continue;
+      }
+
+      let slot = atomicAdd(&tileLightCount, 1u);
+      if (slot < maxLightsPerTile) {
+        tileLights[tileIndex].indices[slot] = i;
+      }
+    }
+    workgroupBarrier();
+
+    if (local_index == 0u) {
+      tileLights[tileIndex].count = min(atomicLoad(&tileLightCount), maxLightsPerTile);
+    }
+  }
+`;
+}
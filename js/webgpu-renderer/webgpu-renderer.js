@@ -21,41 +21,250 @@
 // This import installs hooks that help us output better formatted shader errors
 import './wgsl-debug-helper.js';
 
-import { Renderer } from '../renderer.js';
+import { Renderer, MAX_SHADOW_CASCADES } from '../renderer.js';
 import { ProjectionUniformsSize, ViewUniformsSize, BIND_GROUP } from './shaders/common.js';
-import { PBRRenderBundleHelper, PBRClusteredRenderBundleHelper } from './pbr-render-bundle-helper.js';
-import { DepthVisualization, DepthSliceVisualization, ClusterDistanceVisualization, LightsPerClusterVisualization } from './debug-visualizations.js';
+import { PBRRenderBundleHelper, PBRClusteredRenderBundleHelper, PBRTiledRenderBundleHelper, DepthPrepassRenderBundleHelper,
+         GBufferRenderBundleHelper, PBRClusteredDeferredRenderBundleHelper, PBRClusteredMaskRenderBundleHelper,
+         PBRClusteredZBinRenderBundleHelper, ShadowMapRenderBundleHelper } from './pbr-render-bundle-helper.js';
+import { DepthVisualization, DepthSliceVisualization, ClusterDistanceVisualization, LightsPerClusterVisualization, ClusterOverflowVisualization } from './debug-visualizations.js';
 import { LightSpriteVertexSource, LightSpriteFragmentSource } from './shaders/light-sprite.js';
-import { vec2, vec3, vec4 } from '../third-party/gl-matrix/dist/esm/index.js';
+import { vec2, vec3, vec4, mat4 } from '../third-party/gl-matrix/dist/esm/index.js';
 import { WebGPUTextureLoader } from '../third-party/web-texture-tool/build/webgpu-texture-loader.js';
 
-import { ClusterBoundsSource, ClusterLightsSource, DISPATCH_SIZE, TOTAL_TILES, CLUSTER_LIGHTS_SIZE } from './shaders/clustered-compute.js';
+import { ClusterConfig, ClusterBoundsSource, ClusterLightsSource, ClusterLightsScanSource, ActiveClustersSource, ClusterSliceUniformsSize, CLUSTER_OVERFLOW_HEADER_SIZE,
+         ClusterMaskLayout, ClusterMasksSource, LightHierarchySource, getLightHierarchySize, getLightHierarchyDispatchSize,
+         getBitonicSortSteps } from './shaders/clustered-compute.js';
+import { TileLightsSource, TileLightsSize, getTileCount } from './shaders/tiled-compute.js';
+import { ShadowUniformsSize } from './shaders/shadow.js';
+import { parseProjectionUniforms, computeClusterBounds, computeClusterLights, diffClusterBounds, diffClusterLights } from './cluster-reference.js';
 
 const SAMPLE_COUNT = 4;
 const DEPTH_FORMAT = "depth24plus";
+const SHADOW_MAP_FORMAT = "depth32float";
+
+// Matches the GBufferOutput struct in shaders/pbr.js
+const GBUFFER_FORMATS = [
+  'rgba8unorm-srgb', // Albedo, AO
+  'rgba16float', // Normal
+  'rgba8unorm', // Metallic, roughness
+  'rgba16float', // Emissive
+];
 
 // Can reuse these for every PBR material
 const materialUniforms = new Float32Array(4 + 4 + 4);
 const baseColorFactor = new Float32Array(materialUniforms.buffer, 0, 4);
 const metallicRoughnessFactor = new Float32Array(materialUniforms.buffer, 4 * 4, 2);
+const alphaCutoff = new Float32Array(materialUniforms.buffer, 6 * 4, 1);
 const emissiveFactor = new Float32Array(materialUniforms.buffer, 8 * 4, 3);
+const occlusionStrength = new Float32Array(materialUniforms.buffer, 11 * 4, 1);
 
 const emptyArray = new Uint32Array(1);
+const emptyOverflowHeader = new Uint32Array(CLUSTER_OVERFLOW_HEADER_SIZE / 4);
+
+// The cluster stats read back from the GPU are the light index count from the ClusterLightGroup, the active cluster
+// count (when culling empty clusters), and the ClusterOverflow counters.
+const CLUSTER_STATS_ACTIVE_OFFSET = 4;
+const CLUSTER_STATS_OVERFLOW_OFFSET = 8;
+const CLUSTER_STATS_SIZE = CLUSTER_STATS_OVERFLOW_OFFSET + CLUSTER_OVERFLOW_HEADER_SIZE;
+
+// How often, in frames, the cluster stats are reported. They're read back more often than that so the light index
+// list can grow quickly when it needs to.
+const CLUSTER_STATS_INTERVAL = 30;
+
+// How much extra room to leave when growing the light index list, to avoid growing again right away.
+const LIGHT_INDEX_GROWTH_FACTOR = 1.5;
+
+// Matches the MorphTargets/MorphTargetDelta structs in shaders/common.js
+const MORPH_TARGET_HEADER_SIZE = 16;
+const MORPH_TARGET_DELTA_SIZE = 48;
 
 export class WebGPURenderer extends Renderer {
-  constructor() {
-    super();
+  constructor(options) {
+    super(options);
 
     this.context = this.canvas.getContext('webgpu');
 
     this.outputHelpers = {
       'naive-forward': PBRRenderBundleHelper,
       'clustered-forward': PBRClusteredRenderBundleHelper,
+      'tiled-forward': PBRTiledRenderBundleHelper,
+      'clustered-deferred': PBRClusteredDeferredRenderBundleHelper,
+      'clustered-bitmask': PBRClusteredMaskRenderBundleHelper,
+      'clustered-zbin': PBRClusteredZBinRenderBundleHelper,
       'depth': DepthVisualization,
       'depth-slice': DepthSliceVisualization,
       'cluster-distance': ClusterDistanceVisualization,
       'lights-per-cluster': LightsPerClusterVisualization,
+      'cluster-overflow': ClusterOverflowVisualization,
     };
+
+    // Alpha masked materials use alpha-to-coverage for anti-aliased edges when rendering with MSAA.
+    this.alphaToCoverage = SAMPLE_COUNT > 1;
+
+    this.clusterConfig = new ClusterConfig();
+
+    // When enabled the clustered outputs render a depth prepass and only assign lights to the clusters that contain
+    // visible geometry.
+    this.activeClusterCulling = false;
+    this.activeClusters = null;
+    this.depthPrepass = null;
+    this.depthPrepassBundle = null;
+
+    // When enabled the cluster light passes share view space lights across each workgroup instead of having every
+    // invocation transform every light.
+    this.batchLightCulling = false;
+
+    // When enabled the cluster light passes walk a hierarchy built over the lights each frame, rather than testing
+    // every light against every cluster.
+    this.lightHierarchyCulling = false;
+    this.lightHierarchy = null;
+
+    // When enabled clusters with more lights than the cluster config allows keep the most important ones, rather than
+    // the first ones in index order.
+    this.importanceLightSelection = false;
+
+    // Per-tile depth bounds and light lists for tiled forward shading. Depends on the output size.
+    this.tiledLights = null;
+
+    // Per-cluster light bitmasks, used by the clustered bitmask and z-bin outputs. Depends on the cluster config.
+    this.clusterMasks = null;
+
+    // Surface attributes for clustered deferred shading. Depends on the output size.
+    this.gBuffer = null;
+    this.gBufferBundle = null;
+
+    // Cascaded shadow maps for the light manager's shadowLight, and the render bundles that fill each cascade. Depends
+    // on the shadow settings.
+    this.shadowMap = null;
+    this.shadowMapBundles = null;
+
+    // Set while a read back of the cluster stats is in flight.
+    this.clusterStatsPending = false;
+    this.clusterStatsCulled = false;
+    this.lightIndexCapacity = this.clusterConfig.initialLightIndexCapacity;
+    this.nextClusterStatsReport = 0;
+    this.lastClusterStats = null;
+
+    // What the cluster light lists were last built from, or null if they have to be rebuilt regardless. While the
+    // lights and view haven't changed the previous lists are reused, and skippedClusterRebuilds counts the frames that
+    // did so. The preset lights move every frame while animatePresetLights is set, so with those nothing is skipped
+    // until it's turned off.
+    this.clusterLightsSource = null;
+    this.skippedClusterRebuilds = 0;
+  }
+
+  setAlphaToCoverage(enabled) {
+    this.alphaToCoverage = enabled && SAMPLE_COUNT > 1;
+    // Changes the pipelines, so every render bundle has to be rebuilt.
+    this.outputRenderBundles = {};
+  }
+
+  setActiveClusterCulling(enabled) {
+    this.activeClusterCulling = enabled;
+  }
+
+  setBatchLightCulling(enabled) {
+    if (this.batchLightCulling == enabled) {
+      return;
+    }
+    this.batchLightCulling = enabled;
+    // Rebuilt with the new variant the next time the cluster lights are computed.
+    this.clusterLightsPipelines = null;
+  }
+
+  setLightHierarchyCulling(enabled) {
+    if (this.lightHierarchyCulling == enabled) {
+      return;
+    }
+    this.lightHierarchyCulling = enabled;
+    this.clusterLightsPipelines = null;
+  }
+
+  setImportanceLightSelection(enabled) {
+    if (this.importanceLightSelection == enabled) {
+      return;
+    }
+    this.importanceLightSelection = enabled;
+    // Importance only decides which lights a full cluster keeps, so without a per-cluster limit the flag is ignored
+    // and the pipelines stay as they are. setClusterConfig rebuilds them with it once there's a limit.
+    if (this.clusterConfig.maxLightsPerCluster > 0) {
+      this.clusterLightsPipelines = null;
+    }
+  }
+
+  setShadowSettings(options) {
+    const shadowCascades = this.shadowCascades;
+    if (options.bias !== undefined) {
+      shadowCascades.bias = options.bias;
+    }
+
+    if (options.cascadeCount === undefined) {
+      return;
+    }
+    const cascadeCount = Math.min(Math.max(options.cascadeCount, 0), MAX_SHADOW_CASCADES);
+    if (cascadeCount == shadowCascades.cascadeCount) {
+      return;
+    }
+    shadowCascades.cascadeCount = cascadeCount;
+
+    // If the device hasn't been initialized yet the shadow map will be created with the new count in init().
+    if (!this.device) {
+      return;
+    }
+
+    // The shadow map has a layer per cascade and is part of the frame bind group, which the render bundles hold on to.
+    this.destroyShadowMap();
+    this.createFrameBindGroup();
+    this.outputRenderBundles = {};
+    this.depthPrepassBundle = null;
+    this.gBufferBundle = null;
+  }
+
+  // Options:
+  //   tileCount: [x, y, z] dimensions of the cluster grid.
+  //   depthSlicing: One of the DepthSlicing schemes. Defaults to logarithmic.
+  //   nearSlabDepth: Depth of the first slice when using DepthSlicing.Hybrid.
+  //   maxLightsPerCluster: Most lights any one cluster can store, or 0 for no limit.
+  setClusterConfig(options) {
+    const clusterConfig = new ClusterConfig(options);
+    if (clusterConfig.equals(this.clusterConfig)) {
+      return;
+    }
+
+    const clusterLightsSize = clusterConfig.getClusterLightsSize(clusterConfig.initialLightIndexCapacity);
+    if (this.device && clusterLightsSize > this.device.limits.maxStorageBufferBindingSize) {
+      console.warn(`Cluster grid is too large: needs ${clusterLightsSize} bytes of cluster light storage, ` +
+                   `but the device only supports ${this.device.limits.maxStorageBufferBindingSize}.`);
+      return;
+    }
+
+    this.clusterConfig = clusterConfig;
+    this.lightIndexCapacity = clusterConfig.initialLightIndexCapacity;
+
+    // If the device hasn't been initialized yet everything will be built with the new config in init().
+    if (!this.device) {
+      return;
+    }
+
+    // The grid dimensions are baked into the cluster pipelines and buffers, as well as the shaders used by any render
+    // bundles that touch the clusters. Throw it all away and let it be rebuilt.
+    this.clusterPipeline = null;
+    this.clusterLightsPipelines = null;
+    if (this.clusterBuffer) {
+      this.clusterBuffer.destroy();
+      this.clusterBuffer = null;
+    }
+    this.clusterLightsBuffer.destroy();
+    this.clusterOverflowBuffer.destroy();
+    this.createClusterLightsBuffers();
+    this.destroyActiveClusters();
+    this.destroyClusterMasks();
+    this.destroyLightHierarchy();
+    this.outputRenderBundles = {};
+    this.depthPrepassBundle = null;
+    this.gBufferBundle = null;
+
+    this.computeClusterBounds();
   }
 
   async init() {
@@ -100,6 +309,26 @@ export class WebGPURenderer extends Renderer {
       sampleCount: SAMPLE_COUNT
     };
 
+    // The depth prepass is only read by compute shaders, so it doesn't need to be multisampled.
+    this.depthPrepassBundleDescriptor = {
+      colorFormats: [],
+      depthStencilFormat: DEPTH_FORMAT,
+      sampleCount: 1
+    };
+
+    // Like the depth prepass the G-buffer is read back a texel at a time, so it isn't multisampled either.
+    this.gBufferBundleDescriptor = {
+      colorFormats: GBUFFER_FORMATS,
+      depthStencilFormat: DEPTH_FORMAT,
+      sampleCount: 1
+    };
+
+    this.shadowMapBundleDescriptor = {
+      colorFormats: [],
+      depthStencilFormat: SHADOW_MAP_FORMAT,
+      sampleCount: 1
+    };
+
     // Just for debugging my shader helper stuff. This is expected to fail.
     /*this.device.createShaderModule({
       label: 'Test Shader',
@@ -146,7 +375,7 @@ export class WebGPURenderer extends Renderer {
           buffer: {},
         }, {
           binding: 1, // View uniforms
-          visibility: GPUShaderStage.VERTEX | GPUShaderStage.COMPUTE,
+          visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
           buffer: {}
         }, {
           binding: 2, // Light uniforms
@@ -156,6 +385,26 @@ export class WebGPURenderer extends Renderer {
           binding: 3, // Cluster Lights storage
           visibility: GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
           buffer: { type: 'storage' }
+        }, {
+          binding: 4, // Cluster overflow debug storage
+          visibility: GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 5, // Cluster depth slice uniforms
+          visibility: GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+          buffer: {}
+        }, {
+          binding: 6, // Shadow uniforms
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: {}
+        }, {
+          binding: 7, // Shadow map
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: 'depth', viewDimension: '2d-array' }
+        }, {
+          binding: 8, // Shadow map comparison sampler
+          visibility: GPUShaderStage.FRAGMENT,
+          sampler: { type: 'comparison' }
         }]
       }),
 
@@ -201,9 +450,21 @@ export class WebGPURenderer extends Renderer {
       primitive: this.device.createBindGroupLayout({
         label: `primitive-bgl`,
         entries: [{
-          binding: 0,
+          binding: 0, // Model uniforms
           visibility: GPUShaderStage.VERTEX,
           buffer: {}
+        }, {
+          binding: 1, // Joint matrices
+          visibility: GPUShaderStage.VERTEX,
+          buffer: { type: 'read-only-storage' }
+        }, {
+          binding: 2, // Morph target deltas
+          visibility: GPUShaderStage.VERTEX,
+          buffer: { type: 'read-only-storage' }
+        }, {
+          binding: 3, // Morph target weights
+          visibility: GPUShaderStage.VERTEX,
+          buffer: { type: 'read-only-storage' }
         }]
       }),
 
@@ -215,6 +476,175 @@ export class WebGPURenderer extends Renderer {
           buffer: { type: 'read-only-storage' }
         }]
       }),
+
+      activeClusters: this.device.createBindGroupLayout({
+        label: `active-clusters-bgl`,
+        entries: [{
+          binding: 0, // Depth prepass
+          visibility: GPUShaderStage.COMPUTE,
+          texture: { sampleType: 'depth' }
+        }, {
+          binding: 1, // Cluster flags
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 2, // Active cluster list
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 3, // Indirect dispatch args
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }]
+      }),
+
+      tileLightsCompute: this.device.createBindGroupLayout({
+        label: `tile-lights-compute-bgl`,
+        entries: [{
+          binding: 0, // Depth prepass
+          visibility: GPUShaderStage.COMPUTE,
+          texture: { sampleType: 'depth' }
+        }, {
+          binding: 1, // Tile depth bounds
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 2, // Tile lights
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }]
+      }),
+
+      tileLights: this.device.createBindGroupLayout({
+        label: `tile-lights-bgl`,
+        entries: [{
+          binding: 0,
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: 'read-only-storage' }
+        }]
+      }),
+
+      activeClusterList: this.device.createBindGroupLayout({
+        label: `active-cluster-list-bgl`,
+        entries: [{
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' }
+        }]
+      }),
+
+      // Used in place of the cluster bind group layout by the cluster light passes when culling with the light hierarchy.
+      clusterLightHierarchy: this.device.createBindGroupLayout({
+        label: `cluster-light-hierarchy-bgl`,
+        entries: [{
+          binding: 0, // Cluster bounds
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' }
+        }, {
+          binding: 1, // Sorted lights
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' }
+        }, {
+          binding: 2, // Leaf nodes
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' }
+        }, {
+          binding: 3, // Root nodes
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' }
+        }]
+      }),
+
+      lightHierarchy: this.device.createBindGroupLayout({
+        label: `light-hierarchy-bgl`,
+        entries: [{
+          binding: 0, // Sorted lights
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 1, // Leaf nodes
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 2, // Root nodes
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }]
+      }),
+
+      lightSortParams: this.device.createBindGroupLayout({
+        label: `light-sort-params-bgl`,
+        entries: [{
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { hasDynamicOffset: true }
+        }]
+      }),
+
+      clusterMasks: this.device.createBindGroupLayout({
+        label: `cluster-masks-bgl`,
+        entries: [{
+          binding: 0, // Light masks
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: 'read-only-storage' }
+        }, {
+          binding: 1, // Z-bin masks
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: 'read-only-storage' }
+        }]
+      }),
+
+      clusterMasksCompute: this.device.createBindGroupLayout({
+        label: `cluster-masks-compute-bgl`,
+        entries: [{
+          binding: 0, // Light masks
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }, {
+          binding: 1, // Z-bin masks
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' }
+        }]
+      }),
+
+      // Used in place of the frame bind group layout when rendering a shadow map cascade.
+      shadowCascade: this.device.createBindGroupLayout({
+        label: `shadow-cascade-bgl`,
+        entries: [{
+          binding: 0, // Light space projection uniforms
+          visibility: GPUShaderStage.VERTEX,
+          buffer: {}
+        }, {
+          binding: 1, // View uniforms
+          visibility: GPUShaderStage.VERTEX,
+          buffer: {}
+        }]
+      }),
+
+      gBuffer: this.device.createBindGroupLayout({
+        label: `g-buffer-bgl`,
+        entries: [{
+          binding: 0, // Albedo, AO
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: {}
+        }, {
+          binding: 1, // Normal
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: {}
+        }, {
+          binding: 2, // Metallic, roughness
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: {}
+        }, {
+          binding: 3, // Emissive
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: {}
+        }, {
+          binding: 4, // Depth
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: 'depth' }
+        }]
+      }),
     };
 
     this.pipelineLayout = this.device.createPipelineLayout({
@@ -227,50 +657,67 @@ export class WebGPURenderer extends Renderer {
 
     this.projectionBuffer = this.device.createBuffer({
       size: ProjectionUniformsSize,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC | GPUBufferUsage.UNIFORM,
     });
 
     this.viewBuffer = this.device.createBuffer({
       size: ViewUniformsSize,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC | GPUBufferUsage.UNIFORM,
     });
 
     this.lightsBuffer = this.device.createBuffer({
       size: this.lightManager.uniformArray.byteLength,
-      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.STORAGE,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC | GPUBufferUsage.STORAGE,
     });
 
-    this.clusterLightsBuffer = this.device.createBuffer({
-      size: CLUSTER_LIGHTS_SIZE,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    this.clusterSliceBuffer = this.device.createBuffer({
+      size: ClusterSliceUniformsSize,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
     });
 
-    this.bindGroups = {
-      frame: this.device.createBindGroup({
-        layout: this.bindGroupLayouts.frame,
-        entries: [{
-          binding: 0,
-          resource: {
-            buffer: this.projectionBuffer,
-          },
-        }, {
-          binding: 1,
-          resource: {
-            buffer: this.viewBuffer,
-          },
-        }, {
-          binding: 2,
-          resource: {
-            buffer: this.lightsBuffer,
-          },
-        }, {
-          binding: 3,
-          resource: {
-            buffer: this.clusterLightsBuffer
-          }
-        }],
-      })
-    }
+    this.clusterStatsBuffer = this.device.createBuffer({
+      size: CLUSTER_STATS_SIZE,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+    });
+
+    this.shadowUniformsBuffer = this.device.createBuffer({
+      size: ShadowUniformsSize,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
+    });
+
+    // The cascade projections already include the light's view, so the shadow map passes share an identity view.
+    this.shadowViewBuffer = this.device.createBuffer({
+      size: ViewUniformsSize,
+      usage: GPUBufferUsage.UNIFORM,
+      mappedAtCreation: true,
+    });
+    mat4.identity(new Float32Array(this.shadowViewBuffer.getMappedRange(), 0, 16));
+    this.shadowViewBuffer.unmap();
+
+    this.shadowSampler = this.device.createSampler({
+      compare: 'less',
+      magFilter: 'linear',
+      minFilter: 'linear',
+    });
+
+    this.bindGroups = {};
+    this.createClusterLightsBuffers();
+
+    // Bound in place of joint matrices for primitives that aren't skinned.
+    this.identityJointBuffer = this.device.createBuffer({
+      size: 16 * 4,
+      usage: GPUBufferUsage.STORAGE,
+      mappedAtCreation: true,
+    });
+    mat4.identity(new Float32Array(this.identityJointBuffer.getMappedRange()));
+    this.identityJointBuffer.unmap();
+
+    // Bound in place of morph target deltas and weights for primitives that don't have any. Sized to hold the
+    // MorphTargets header plus a single delta.
+    this.emptyMorphTargetBuffer = this.device.createBuffer({
+      size: MORPH_TARGET_HEADER_SIZE + MORPH_TARGET_DELTA_SIZE,
+      usage: GPUBufferUsage.STORAGE,
+    });
 
     this.blackTextureView = this.textureLoader.fromColor(0, 0, 0, 0).texture.createView();
     this.whiteTextureView = this.textureLoader.fromColor(1.0, 1.0, 1.0, 1.0).texture.createView();
@@ -326,31 +773,110 @@ export class WebGPURenderer extends Renderer {
     });
   }
 
-  onResize(width, height) {
-    if (!this.device) return;
-
-    const msaaColorTexture = this.device.createTexture({
-      size: { width, height },
-      sampleCount: SAMPLE_COUNT,
-      format: this.contextFormat,
-      usage: GPUTextureUsage.RENDER_ATTACHMENT,
+  // Also (re)creates the frame bind group, since the cluster lights are part of it.
+  createClusterLightsBuffers() {
+    this.clusterLightsSource = null;
+    this.clusterLightsBuffer = this.device.createBuffer({
+      size: this.clusterConfig.getClusterLightsSize(this.lightIndexCapacity),
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
     });
-    this.colorAttachment.view = msaaColorTexture.createView();
 
-    const depthTexture = this.device.createTexture({
-      size: { width, height },
-      sampleCount: SAMPLE_COUNT,
-      format: DEPTH_FORMAT,
-      usage: GPUTextureUsage.RENDER_ATTACHMENT
+    this.clusterOverflowBuffer = this.device.createBuffer({
+      size: this.clusterConfig.clusterOverflowSize,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
     });
-    this.depthAttachment.view = depthTexture.createView();
 
-    // On every size change we need to re-compute the cluster grid.
-    this.computeClusterBounds();
+    this.createFrameBindGroup();
   }
 
-  async setGltf(gltf) {
-    const resourcePromises = [];
+  createFrameBindGroup() {
+    this.bindGroups.frame = this.device.createBindGroup({
+      layout: this.bindGroupLayouts.frame,
+      entries: [{
+        binding: 0,
+        resource: {
+          buffer: this.projectionBuffer,
+        },
+      }, {
+        binding: 1,
+        resource: {
+          buffer: this.viewBuffer,
+        },
+      }, {
+        binding: 2,
+        resource: {
+          buffer: this.lightsBuffer,
+        },
+      }, {
+        binding: 3,
+        resource: {
+          buffer: this.clusterLightsBuffer
+        }
+      }, {
+        binding: 4,
+        resource: {
+          buffer: this.clusterOverflowBuffer
+        }
+      }, {
+        binding: 5,
+        resource: {
+          buffer: this.clusterSliceBuffer
+        }
+      }, {
+        binding: 6,
+        resource: {
+          buffer: this.shadowUniformsBuffer
+        }
+      }, {
+        binding: 7,
+        resource: this.getShadowMap().view
+      }, {
+        binding: 8,
+        resource: this.shadowSampler
+      }],
+    });
+  }
+
+  onResize(width, height) {
+    if (!this.device) return;
+
+    const msaaColorTexture = this.device.createTexture({
+      size: { width, height },
+      sampleCount: SAMPLE_COUNT,
+      format: this.contextFormat,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT,
+    });
+    this.colorAttachment.view = msaaColorTexture.createView();
+
+    const depthTexture = this.device.createTexture({
+      size: { width, height },
+      sampleCount: SAMPLE_COUNT,
+      format: DEPTH_FORMAT,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT
+    });
+    this.depthAttachment.view = depthTexture.createView();
+
+    // The depth prepass has to match the new size, along with everything that reads from it.
+    this.destroyDepthPrepass();
+    this.destroyActiveClusters();
+    this.destroyTiledLights();
+    this.destroyGBuffer();
+
+    // On every size change we need to re-compute the cluster grid.
+    this.computeClusterBounds();
+  }
+
+  onProjectionChange() {
+    if (!this.device) return;
+
+    // The cluster bounds follow the projection, and computeClusterBounds uploads the new projection uniforms.
+    this.computeClusterBounds();
+  }
+
+  async setGltf(gltf, options) {
+    super.setGltf(gltf, options);
+
+    const resourcePromises = [];
 
     for (let bufferView of gltf.bufferViews) {
       resourcePromises.push(this.initBufferView(bufferView));
@@ -364,6 +890,10 @@ export class WebGPURenderer extends Renderer {
       this.initSampler(sampler);
     }
 
+    for (let skin of gltf.skins) {
+      this.initSkin(skin);
+    }
+
     this.initNode(gltf.scene);
 
     await Promise.all(resourcePromises);
@@ -378,6 +908,15 @@ export class WebGPURenderer extends Renderer {
 
     this.outputRenderBundles = {};
     this.primitives = gltf.primitives;
+    this.skins = gltf.skins;
+
+    // How clusters are marked and tile depth ranges are found depend on whether the scene has any blended primitives.
+    this.destroyActiveClusters();
+    this.tileLightsPipelines = null;
+    this.clusterLightsSource = null;
+    this.depthPrepassBundle = null;
+    this.gBufferBundle = null;
+    this.shadowMapBundles = null;
   }
 
   async initBufferView(bufferView) {
@@ -430,10 +969,19 @@ export class WebGPURenderer extends Renderer {
     sampler.renderData.gpuSampler = this.device.createSampler(sampler.gpuSamplerDescriptor);
   }
 
+  initSkin(skin) {
+    skin.renderData.jointBuffer = this.device.createBuffer({
+      size: skin.jointMatrices.byteLength,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+  }
+
   initMaterial(material) {
     vec4.copy(baseColorFactor, material.baseColorFactor);
     vec2.copy(metallicRoughnessFactor, material.metallicRoughnessFactor);
+    alphaCutoff[0] = material.alphaCutoff;
     vec3.copy(emissiveFactor, material.emissiveFactor);
+    occlusionStrength[0] = material.occlusionStrength;
 
     const materialBuffer = this.device.createBuffer({
       size: materialUniforms.byteLength,
@@ -480,9 +1028,54 @@ export class WebGPURenderer extends Renderer {
     material.renderData.gpuBindGroup = materialBindGroup;
   }
 
+  initMorphTargets(primitive) {
+    const targets = primitive.targets;
+
+    let vertexCount = 0;
+    for (let target of targets) {
+      for (let name in target) {
+        vertexCount = Math.max(vertexCount, target[name].length / 3);
+      }
+    }
+
+    const deltaFloats = MORPH_TARGET_DELTA_SIZE / 4;
+    const morphTargetBuffer = this.device.createBuffer({
+      size: MORPH_TARGET_HEADER_SIZE + MORPH_TARGET_DELTA_SIZE * Math.max(vertexCount * targets.length, 1),
+      usage: GPUBufferUsage.STORAGE,
+      mappedAtCreation: true,
+    });
+    const mappedRange = morphTargetBuffer.getMappedRange();
+    const header = new Uint32Array(mappedRange, 0, 2);
+    header[0] = vertexCount;
+    header[1] = targets.length;
+
+    const deltas = new Float32Array(mappedRange, MORPH_TARGET_HEADER_SIZE);
+    for (let t = 0; t < targets.length; ++t) {
+      const target = targets[t];
+      for (let v = 0; v < vertexCount; ++v) {
+        const offset = (t * vertexCount + v) * deltaFloats;
+        // Each vec3 delta is padded out to 16 bytes.
+        if (target.POSITION) { deltas.set(target.POSITION.subarray(v * 3, v * 3 + 3), offset); }
+        if (target.NORMAL) { deltas.set(target.NORMAL.subarray(v * 3, v * 3 + 3), offset + 4); }
+        if (target.TANGENT) { deltas.set(target.TANGENT.subarray(v * 3, v * 3 + 3), offset + 8); }
+      }
+    }
+    morphTargetBuffer.unmap();
+
+    primitive.renderData.morphTargetBuffer = morphTargetBuffer;
+    primitive.renderData.morphWeightsBuffer = this.device.createBuffer({
+      size: Math.max(targets.length, 1) * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+  }
+
   initPrimitive(primitive) {
     const bufferSize = 16 * 4;
 
+    if (primitive.targets.length) {
+      this.initMorphTargets(primitive);
+    }
+
     // TODO: Support multiple instances
     if (primitive.renderData.instances.length) {
       const modelBuffer = this.device.createBuffer({
@@ -491,6 +1084,9 @@ export class WebGPURenderer extends Renderer {
       });
 
       this.device.queue.writeBuffer(modelBuffer, 0, primitive.renderData.instances[0]);
+      primitive.renderData.modelBuffer = modelBuffer;
+
+      const skin = primitive.renderData.skin;
 
       const modelBindGroup = this.device.createBindGroup({
         layout: this.bindGroupLayouts.primitive,
@@ -499,6 +1095,21 @@ export class WebGPURenderer extends Renderer {
           resource: {
             buffer: modelBuffer,
           },
+        }, {
+          binding: 1,
+          resource: {
+            buffer: skin ? skin.renderData.jointBuffer : this.identityJointBuffer,
+          },
+        }, {
+          binding: 2,
+          resource: {
+            buffer: primitive.renderData.morphTargetBuffer || this.emptyMorphTargetBuffer,
+          },
+        }, {
+          binding: 3,
+          resource: {
+            buffer: primitive.renderData.morphWeightsBuffer || this.emptyMorphTargetBuffer,
+          },
         }],
       });
 
@@ -512,6 +1123,12 @@ export class WebGPURenderer extends Renderer {
         primitive.renderData.instances = [];
       }
       primitive.renderData.instances.push(node.worldMatrix);
+      if (node.skin && !primitive.renderData.skin) {
+        primitive.renderData.skin = node.skin;
+      }
+      if (node.weights && !primitive.renderData.morphWeights) {
+        primitive.renderData.morphWeights = node.weights;
+      }
     }
 
     for (let childNode of node.children) {
@@ -519,6 +1136,34 @@ export class WebGPURenderer extends Renderer {
     }
   }
 
+  // Re-uploads the model matrices of every primitive. Only needed when animations have moved nodes.
+  updateModelBuffers() {
+    for (let primitive of this.primitives) {
+      if (primitive.renderData.modelBuffer) {
+        this.device.queue.writeBuffer(primitive.renderData.modelBuffer, 0, primitive.renderData.instances[0]);
+      }
+    }
+  }
+
+  // Morph weights are cheap to upload and can be changed by animations or scripts at any time, so they're pushed
+  // every frame.
+  updateMorphWeights() {
+    for (let primitive of this.primitives) {
+      const weights = primitive.renderData.morphWeights;
+      if (weights && primitive.renderData.morphWeightsBuffer) {
+        this.device.queue.writeBuffer(primitive.renderData.morphWeightsBuffer, 0, weights);
+      }
+    }
+  }
+
+  updateSkins() {
+    if (!this.skins) { return; }
+
+    for (let skin of this.skins) {
+      this.device.queue.writeBuffer(skin.renderData.jointBuffer, 0, skin.updateJointMatrices());
+    }
+  }
+
   computeClusterBounds() {
     if (!this.clusterPipeline) {
       const clusterStorageBindGroupLayout = this.device.createBindGroupLayout({
@@ -537,14 +1182,14 @@ export class WebGPURenderer extends Renderer {
           ]
         }),
         compute: {
-          module: this.device.createShaderModule({ code: ClusterBoundsSource, label: "Cluster Bounds" }),
+          module: this.device.createShaderModule({ code: ClusterBoundsSource(this.clusterConfig), label: "Cluster Bounds" }),
           entryPoint: 'main',
         }
       });
 
       this.clusterBuffer = this.device.createBuffer({
-        size: TOTAL_TILES * 32, // Cluster x, y, z size * 32 bytes per cluster.
-        usage: GPUBufferUsage.STORAGE
+        size: this.clusterConfig.clusterBoundsSize,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
       });
 
       this.clusterStorageBindGroup = this.device.createBindGroup({
@@ -568,49 +1213,941 @@ export class WebGPURenderer extends Renderer {
       });
     }
 
-    // Update the Projection uniforms. These only need to be updated on resize.
+    // Update the Projection uniforms, and the depth slices that depend on them. These only need to be updated on resize.
     this.device.queue.writeBuffer(this.projectionBuffer, 0, this.frameUniforms.buffer, 0, ProjectionUniformsSize);
+    this.device.queue.writeBuffer(this.clusterSliceBuffer, 0, this.clusterConfig.getSliceUniforms(this.zRange[0], this.zRange[1]));
+    this.clusterLightsSource = null;
 
     const commandEncoder = this.device.createCommandEncoder();
     const passEncoder = commandEncoder.beginComputePass();
     passEncoder.setPipeline(this.clusterPipeline);
     passEncoder.setBindGroup(BIND_GROUP.Frame, this.bindGroups.frame);
     passEncoder.setBindGroup(1, this.clusterStorageBindGroup);
-    passEncoder.dispatchWorkgroups(...DISPATCH_SIZE);
+    passEncoder.dispatchWorkgroups(...this.clusterConfig.dispatchSize);
     passEncoder.end();
     this.device.queue.submit([commandEncoder.finish()]);
   }
 
-  computeClusterLights(commandEncoder) {
-    // On every size change we need to re-compute the cluster grid.
-    if (!this.clusterLightsPipeline) {
-      const clusterLightsPipelineLayout = this.device.createPipelineLayout({
+  createClusterLightsPipelines() {
+    // The lists were built by a different variant of the passes.
+    this.clusterLightsSource = null;
+
+    const clusterBindGroupLayout = this.lightHierarchyCulling ?
+        this.bindGroupLayouts.clusterLightHierarchy : this.bindGroupLayouts.cluster;
+    const clusterLightsPipelineLayout = this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        this.bindGroupLayouts.frame, // set 0
+        clusterBindGroupLayout, // set 1
+      ]
+    });
+
+    const scanBindGroupLayout = this.device.createBindGroupLayout({
+      entries: [{
+        binding: 0, // Block sums
+        visibility: GPUShaderStage.COMPUTE,
+        buffer: { type: 'storage' }
+      }]
+    });
+
+    const scanPipelineLayout = this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        this.bindGroupLayouts.frame, // set 0
+        scanBindGroupLayout, // set 1
+      ]
+    });
+
+    const clusterLightsModule = this.device.createShaderModule({
+      code: ClusterLightsSource(this.clusterConfig, this.batchLightCulling, this.lightHierarchyCulling,
+                                this.importanceLightSelection),
+      label: "Cluster Lights"
+    });
+    const scanModule = this.device.createShaderModule({
+      code: ClusterLightsScanSource(this.clusterConfig),
+      label: "Cluster Lights Scan"
+    });
+
+    const createPipeline = (layout, module, entryPoint) => {
+      return this.device.createComputePipeline({ layout, compute: { module, entryPoint } });
+    };
+
+    this.scanBlockSumsBuffer = this.device.createBuffer({
+      size: this.clusterConfig.scanBlockCount * 4,
+      usage: GPUBufferUsage.STORAGE
+    });
+
+    const activeClusterLightsPipelineLayout = this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        this.bindGroupLayouts.frame, // set 0
+        clusterBindGroupLayout, // set 1
+        this.bindGroupLayouts.activeClusterList, // set 2
+      ]
+    });
+
+    this.clusterLightsPipelines = {
+      countLights: createPipeline(clusterLightsPipelineLayout, clusterLightsModule, 'countLights'),
+      countActiveLights: createPipeline(activeClusterLightsPipelineLayout, clusterLightsModule, 'countActiveLights'),
+      scanBlocks: createPipeline(scanPipelineLayout, scanModule, 'scanBlocks'),
+      scanBlockSums: createPipeline(scanPipelineLayout, scanModule, 'scanBlockSums'),
+      addBlockOffsets: createPipeline(scanPipelineLayout, scanModule, 'addBlockOffsets'),
+      assignLights: createPipeline(clusterLightsPipelineLayout, clusterLightsModule, 'assignLights'),
+      assignActiveLights: createPipeline(activeClusterLightsPipelineLayout, clusterLightsModule, 'assignActiveLights'),
+      scanBindGroup: this.device.createBindGroup({
+        layout: scanBindGroupLayout,
+        entries: [{
+          binding: 0,
+          resource: {
+            buffer: this.scanBlockSumsBuffer,
+          },
+        }],
+      }),
+    };
+  }
+
+  // Renders the depth of the opaque parts of the scene into a single sampled texture that compute passes can read.
+  // Used by both active cluster culling and tiled forward shading.
+  renderDepthPrepass(commandEncoder) {
+    if (!this.depthPrepass) {
+      const texture = this.device.createTexture({
+        size: { width: this.outputSize[0], height: this.outputSize[1] },
+        format: DEPTH_FORMAT,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+      });
+      const view = texture.createView();
+      this.depthPrepass = {
+        texture,
+        view,
+        renderPassDescriptor: {
+          colorAttachments: [],
+          depthStencilAttachment: {
+            view,
+            depthLoadOp: 'clear',
+            depthClearValue: 1.0,
+            depthStoreOp: 'store',
+          }
+        },
+      };
+    }
+
+    if (!this.depthPrepassBundle) {
+      const renderBundleHelper = new DepthPrepassRenderBundleHelper(this);
+      this.depthPrepassBundle = renderBundleHelper.createRenderBundle(this.primitives);
+    }
+
+    const passEncoder = commandEncoder.beginRenderPass(this.depthPrepass.renderPassDescriptor);
+    passEncoder.executeBundles([this.depthPrepassBundle]);
+    passEncoder.end();
+  }
+
+  destroyDepthPrepass() {
+    if (!this.depthPrepass) {
+      return;
+    }
+    this.depthPrepass.texture.destroy();
+    this.depthPrepass = null;
+  }
+
+  // Creates everything needed to find the active clusters. Depends on the cluster config, the depth prepass, and the
+  // scene, so it's thrown away whenever one of those changes.
+  createActiveClusters() {
+    const clusterConfig = this.clusterConfig;
+    const markDepthRange = this.primitives.some((primitive) => primitive.material.blend);
+
+    const flagsBuffer = this.device.createBuffer({
+      size: clusterConfig.totalTiles * 4,
+      usage: GPUBufferUsage.STORAGE
+    });
+
+    const listBuffer = this.device.createBuffer({
+      size: clusterConfig.activeClustersSize,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+    });
+
+    const dispatchArgsBuffer = this.device.createBuffer({
+      size: 3 * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT
+    });
+
+    const pipelineLayout = this.device.createPipelineLayout({
+      bindGroupLayouts: [
+        this.bindGroupLayouts.frame, // set 0
+        this.bindGroupLayouts.activeClusters, // set 1
+      ]
+    });
+
+    const module = this.device.createShaderModule({
+      code: ActiveClustersSource(clusterConfig, markDepthRange),
+      label: "Active Clusters"
+    });
+
+    const createPipeline = (entryPoint) => {
+      return this.device.createComputePipeline({ layout: pipelineLayout, compute: { module, entryPoint } });
+    };
+
+    this.activeClusters = {
+      flagsBuffer,
+      listBuffer,
+      dispatchArgsBuffer,
+      markClusters: createPipeline('markClusters'),
+      compactClusters: createPipeline('compactClusters'),
+      writeDispatchArgs: createPipeline('writeDispatchArgs'),
+      bindGroup: this.device.createBindGroup({
+        layout: this.bindGroupLayouts.activeClusters,
+        entries: [{
+          binding: 0,
+          resource: this.depthPrepass.view,
+        }, {
+          binding: 1,
+          resource: { buffer: flagsBuffer },
+        }, {
+          binding: 2,
+          resource: { buffer: listBuffer },
+        }, {
+          binding: 3,
+          resource: { buffer: dispatchArgsBuffer },
+        }],
+      }),
+      listBindGroup: this.device.createBindGroup({
+        layout: this.bindGroupLayouts.activeClusterList,
+        entries: [{
+          binding: 0,
+          resource: { buffer: listBuffer },
+        }],
+      }),
+    };
+  }
+
+  destroyActiveClusters() {
+    if (!this.activeClusters) {
+      return;
+    }
+    this.activeClusters.flagsBuffer.destroy();
+    this.activeClusters.listBuffer.destroy();
+    this.activeClusters.dispatchArgsBuffer.destroy();
+    this.activeClusters = null;
+  }
+
+  // Renders the depth prepass and builds the list of clusters that contain visible geometry from it.
+  markActiveClusters(commandEncoder) {
+    this.renderDepthPrepass(commandEncoder);
+    if (!this.activeClusters) {
+      this.createActiveClusters();
+    }
+    const activeClusters = this.activeClusters;
+
+    this.device.queue.writeBuffer(activeClusters.listBuffer, 0, emptyArray);
+
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setBindGroup(BIND_GROUP.Frame, this.bindGroups.frame);
+    passEncoder.setBindGroup(1, activeClusters.bindGroup);
+    passEncoder.setPipeline(activeClusters.markClusters);
+    passEncoder.dispatchWorkgroups(...this.clusterConfig.getMarkClustersDispatchSize(this.outputSize[0], this.outputSize[1]));
+    passEncoder.setPipeline(activeClusters.compactClusters);
+    passEncoder.dispatchWorkgroups(this.clusterConfig.compactDispatchSize);
+    passEncoder.setPipeline(activeClusters.writeDispatchArgs);
+    passEncoder.dispatchWorkgroups(1);
+    passEncoder.end();
+  }
+
+  // Buffers for the tiled forward light lists. The render bundle helper needs the bind group before the first frame is
+  // rendered, so they're created on demand by whichever asks first.
+  getTiledLights() {
+    if (!this.tiledLights) {
+      const tileCount = getTileCount(this.outputSize[0], this.outputSize[1]);
+      const totalTiles = tileCount[0] * tileCount[1];
+
+      const depthBoundsBuffer = this.device.createBuffer({
+        size: totalTiles * 8,
+        usage: GPUBufferUsage.STORAGE
+      });
+
+      const lightsBuffer = this.device.createBuffer({
+        size: totalTiles * TileLightsSize,
+        usage: GPUBufferUsage.STORAGE
+      });
+
+      this.tiledLights = {
+        tileCount,
+        depthBoundsBuffer,
+        lightsBuffer,
+        // Created along with the depth prepass in computeTileLights.
+        computeBindGroup: null,
+        bindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.tileLights,
+          entries: [{
+            binding: 0,
+            resource: { buffer: lightsBuffer },
+          }],
+        }),
+      };
+    }
+    return this.tiledLights;
+  }
+
+  destroyTiledLights() {
+    if (!this.tiledLights) {
+      return;
+    }
+    this.tiledLights.depthBoundsBuffer.destroy();
+    this.tiledLights.lightsBuffer.destroy();
+    this.tiledLights = null;
+    // The render bundle refers to the old light lists.
+    delete this.outputRenderBundles['tiled-forward'];
+  }
+
+  // Builds the per-tile light lists for tiled forward shading from the depth prepass.
+  computeTileLights(commandEncoder) {
+    if (!this.tileLightsPipelines) {
+      const extendDepthRange = this.primitives.some((primitive) => primitive.material.blend);
+      const pipelineLayout = this.device.createPipelineLayout({
         bindGroupLayouts: [
           this.bindGroupLayouts.frame, // set 0
-          this.bindGroupLayouts.cluster, // set 1
+          this.bindGroupLayouts.tileLightsCompute, // set 1
         ]
       });
+      const module = this.device.createShaderModule({ code: TileLightsSource(extendDepthRange), label: "Tile Lights" });
+      this.tileLightsPipelines = {
+        computeDepthBounds: this.device.createComputePipeline({
+          layout: pipelineLayout,
+          compute: { module, entryPoint: 'computeDepthBounds' }
+        }),
+        cullLights: this.device.createComputePipeline({
+          layout: pipelineLayout,
+          compute: { module, entryPoint: 'cullLights' }
+        }),
+      };
+    }
 
-      this.clusterLightsPipeline = this.device.createComputePipeline({
-        layout: clusterLightsPipelineLayout,
-        compute: {
-          module: this.device.createShaderModule({ code: ClusterLightsSource, label: "Cluster Lights" }),
-          entryPoint: 'main',
-        }
+    this.renderDepthPrepass(commandEncoder);
+
+    const tiledLights = this.getTiledLights();
+    if (!tiledLights.computeBindGroup) {
+      tiledLights.computeBindGroup = this.device.createBindGroup({
+        layout: this.bindGroupLayouts.tileLightsCompute,
+        entries: [{
+          binding: 0,
+          resource: this.depthPrepass.view,
+        }, {
+          binding: 1,
+          resource: { buffer: tiledLights.depthBoundsBuffer },
+        }, {
+          binding: 2,
+          resource: { buffer: tiledLights.lightsBuffer },
+        }],
       });
     }
 
-    // Reset the light offset counter to 0 before populating the light clusters.
-    this.device.queue.writeBuffer(this.clusterLightsBuffer, 0, emptyArray);
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setBindGroup(BIND_GROUP.Frame, this.bindGroups.frame);
+    passEncoder.setBindGroup(1, tiledLights.computeBindGroup);
+    passEncoder.setPipeline(this.tileLightsPipelines.computeDepthBounds);
+    passEncoder.dispatchWorkgroups(...tiledLights.tileCount);
+    passEncoder.setPipeline(this.tileLightsPipelines.cullLights);
+    passEncoder.dispatchWorkgroups(...tiledLights.tileCount);
+    passEncoder.end();
+  }
+
+  // Buffers and pipelines for the bitmask cluster storage. Only one layout is kept around at a time, so switching
+  // between the bitmask and z-bin outputs rebuilds them.
+  getClusterMasks(zBinning) {
+    if (this.clusterMasks && this.clusterMasks.layout.zBinning != zBinning) {
+      this.destroyClusterMasks();
+    }
+
+    if (!this.clusterMasks) {
+      const layout = new ClusterMaskLayout(this.clusterConfig, this.lightManager.maxLightCount, zBinning);
+
+      const lightMasksBuffer = this.device.createBuffer({
+        size: layout.lightMasksSize,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
+
+      const zBinMasksBuffer = this.device.createBuffer({
+        size: layout.zBinMasksSize,
+        usage: GPUBufferUsage.STORAGE
+      });
+
+      const entries = [{
+        binding: 0,
+        resource: { buffer: lightMasksBuffer },
+      }, {
+        binding: 1,
+        resource: { buffer: zBinMasksBuffer },
+      }];
+
+      const module = this.device.createShaderModule({ code: ClusterMasksSource(layout), label: "Cluster Masks" });
+      const pipelineLayout = this.device.createPipelineLayout({
+        bindGroupLayouts: [
+          this.bindGroupLayouts.frame, // set 0
+          this.bindGroupLayouts.cluster, // set 1
+          this.bindGroupLayouts.clusterMasksCompute, // set 2
+        ]
+      });
+
+      this.clusterMasks = {
+        layout,
+        lightMasksBuffer,
+        zBinMasksBuffer,
+        assignLightMasks: this.device.createComputePipeline({
+          layout: pipelineLayout,
+          compute: { module, entryPoint: 'assignLightMasks' }
+        }),
+        assignZBinMasks: zBinning ? this.device.createComputePipeline({
+          layout: pipelineLayout,
+          compute: { module, entryPoint: 'assignZBinMasks' }
+        }) : null,
+        computeBindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.clusterMasksCompute,
+          entries,
+        }),
+        bindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.clusterMasks,
+          entries,
+        }),
+      };
+    }
+    return this.clusterMasks;
+  }
+
+  destroyClusterMasks() {
+    if (!this.clusterMasks) {
+      return;
+    }
+    this.clusterMasks.lightMasksBuffer.destroy();
+    this.clusterMasks.zBinMasksBuffer.destroy();
+    this.clusterMasks = null;
+    // The render bundles refer to the old masks.
+    delete this.outputRenderBundles['clustered-bitmask'];
+    delete this.outputRenderBundles['clustered-zbin'];
+  }
+
+  // Fills in the light bitmasks for the clustered bitmask (or, with zBinning, z-bin) output.
+  computeClusterMasks(commandEncoder, zBinning) {
+    const clusterMasks = this.getClusterMasks(zBinning);
+
+    // Tile masks are accumulated from every cluster in the tile.
+    if (zBinning) {
+      commandEncoder.clearBuffer(clusterMasks.lightMasksBuffer);
+    }
 
-    // Update the FrameUniforms buffer with the values that are used by every
-    // program and don't change for the duration of the frame.
     const passEncoder = commandEncoder.beginComputePass();
-    passEncoder.setPipeline(this.clusterLightsPipeline);
     passEncoder.setBindGroup(BIND_GROUP.Frame, this.bindGroups.frame);
     passEncoder.setBindGroup(1, this.bindGroups.cluster);
-    passEncoder.dispatchWorkgroups(...DISPATCH_SIZE);
+    passEncoder.setBindGroup(2, clusterMasks.computeBindGroup);
+    passEncoder.setPipeline(clusterMasks.assignLightMasks);
+    passEncoder.dispatchWorkgroups(...this.clusterConfig.dispatchSize);
+    if (zBinning) {
+      passEncoder.setPipeline(clusterMasks.assignZBinMasks);
+      passEncoder.dispatchWorkgroups(clusterMasks.layout.zBinDispatchSize);
+    }
+    passEncoder.end();
+  }
+
+  // Render targets for clustered deferred shading. Like the tiled light lists, the lighting render bundle needs the
+  // bind group before the first frame is rendered, so they're created on demand by whichever asks first.
+  getGBuffer() {
+    if (!this.gBuffer) {
+      const size = { width: this.outputSize[0], height: this.outputSize[1] };
+      const textures = GBUFFER_FORMATS.map((format) => this.device.createTexture({
+        size,
+        format,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+      }));
+      textures.push(this.device.createTexture({
+        size,
+        format: DEPTH_FORMAT,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+      }));
+      const views = textures.map((texture) => texture.createView());
+      const depthView = views.pop();
+
+      this.gBuffer = {
+        textures,
+        renderPassDescriptor: {
+          colorAttachments: views.map((view) => ({
+            view,
+            loadOp: 'clear',
+            clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 0.0 },
+            storeOp: 'store',
+          })),
+          depthStencilAttachment: {
+            view: depthView,
+            depthLoadOp: 'clear',
+            depthClearValue: 1.0,
+            depthStoreOp: 'store',
+          }
+        },
+        bindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.gBuffer,
+          entries: [...views, depthView].map((resource, binding) => ({ binding, resource })),
+        }),
+      };
+    }
+    return this.gBuffer;
+  }
+
+  destroyGBuffer() {
+    if (!this.gBuffer) {
+      return;
+    }
+    for (const texture of this.gBuffer.textures) {
+      texture.destroy();
+    }
+    this.gBuffer = null;
+    // The render bundle refers to the old textures.
+    delete this.outputRenderBundles['clustered-deferred'];
+  }
+
+  // Fills the G-buffer with the opaque parts of the scene, to be lit by the clustered deferred render bundle.
+  renderGBuffer(commandEncoder) {
+    if (!this.gBufferBundle) {
+      const renderBundleHelper = new GBufferRenderBundleHelper(this);
+      this.gBufferBundle = renderBundleHelper.createRenderBundle(this.primitives);
+    }
+
+    const passEncoder = commandEncoder.beginRenderPass(this.getGBuffer().renderPassDescriptor);
+    passEncoder.executeBundles([this.gBufferBundle]);
+    passEncoder.end();
+  }
+
+  // A depth layer for each shadow cascade, along with the bind group that holds the cascade's light space projection.
+  // The whole array is part of the frame bind group.
+  getShadowMap() {
+    if (!this.shadowMap) {
+      const shadowCascades = this.shadowCascades;
+      const texture = this.device.createTexture({
+        size: {
+          width: shadowCascades.mapSize,
+          height: shadowCascades.mapSize,
+          // There's still something to bind when shadows are off.
+          depthOrArrayLayers: Math.max(shadowCascades.cascadeCount, 1),
+        },
+        format: SHADOW_MAP_FORMAT,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+      });
+
+      const cascades = [];
+      for (let i = 0; i < shadowCascades.cascadeCount; ++i) {
+        const projectionBuffer = this.device.createBuffer({
+          size: ProjectionUniformsSize,
+          usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
+        });
+        cascades.push({
+          projectionBuffer,
+          bindGroup: this.device.createBindGroup({
+            layout: this.bindGroupLayouts.shadowCascade,
+            entries: [{
+              binding: 0,
+              resource: { buffer: projectionBuffer },
+            }, {
+              binding: 1,
+              resource: { buffer: this.shadowViewBuffer },
+            }],
+          }),
+          renderPassDescriptor: {
+            colorAttachments: [],
+            depthStencilAttachment: {
+              view: texture.createView({ dimension: '2d', baseArrayLayer: i, arrayLayerCount: 1 }),
+              depthLoadOp: 'clear',
+              depthClearValue: 1.0,
+              depthStoreOp: 'store',
+            }
+          },
+        });
+      }
+
+      this.shadowMap = {
+        texture,
+        view: texture.createView({ dimension: '2d-array' }),
+        cascades,
+      };
+    }
+    return this.shadowMap;
+  }
+
+  destroyShadowMap() {
+    if (!this.shadowMap) {
+      return;
+    }
+    this.shadowMap.texture.destroy();
+    for (const cascade of this.shadowMap.cascades) {
+      cascade.projectionBuffer.destroy();
+    }
+    this.shadowMap = null;
+    this.shadowMapBundles = null;
+  }
+
+  // Fits the shadow cascades to the current view and renders the shadow casters into each of them. Skipped when
+  // there's no light to cast shadows, which the shadow uniforms tell the shaders.
+  renderShadowMap(commandEncoder) {
+    const shadowCascades = this.shadowCascades;
+    const shadowed = shadowCascades.update(this.lightManager, this.projectionMatrix, this.inverseProjectionMatrix,
+                                           this.viewMatrix, this.zRange);
+    this.device.queue.writeBuffer(this.shadowUniformsBuffer, 0, shadowCascades.uniformArray);
+    if (!shadowed || !this.primitives) {
+      return;
+    }
+
+    const shadowMap = this.getShadowMap();
+    if (!this.shadowMapBundles) {
+      const renderBundleHelper = new ShadowMapRenderBundleHelper(this);
+      this.shadowMapBundles = renderBundleHelper.createCascadeRenderBundles(
+          this.primitives, shadowMap.cascades.map((cascade) => cascade.bindGroup));
+    }
+
+    for (let i = 0; i < shadowMap.cascades.length; ++i) {
+      const cascade = shadowMap.cascades[i];
+      this.device.queue.writeBuffer(cascade.projectionBuffer, 0, shadowCascades.matrices[i]);
+
+      const passEncoder = commandEncoder.beginRenderPass(cascade.renderPassDescriptor);
+      passEncoder.executeBundles([this.shadowMapBundles[i]]);
+      passEncoder.end();
+    }
+  }
+
+  // Buffers, pipelines and bind groups for the light hierarchy, sized for every light the light manager can hold. The
+  // cluster bind group refers to the cluster bounds, so this is rebuilt when those are.
+  getLightHierarchy() {
+    if (!this.lightHierarchy) {
+      const size = getLightHierarchySize(this.lightManager.maxLightCount);
+
+      const sortedLightsBuffer = this.device.createBuffer({
+        size: size.sortCount * 8,
+        usage: GPUBufferUsage.STORAGE
+      });
+      const leavesBuffer = this.device.createBuffer({
+        size: size.leafCount * 32,
+        usage: GPUBufferUsage.STORAGE
+      });
+      const rootsBuffer = this.device.createBuffer({
+        size: size.rootCount * 32,
+        usage: GPUBufferUsage.STORAGE
+      });
+
+      // Every step of the sort gets its own slice of the uniform buffer, selected with a dynamic offset.
+      const sortSteps = getBitonicSortSteps(size.sortCount);
+      const sortParamsStride = Math.max(this.device.limits.minUniformBufferOffsetAlignment, 8);
+      const sortParamsBuffer = this.device.createBuffer({
+        size: sortSteps.length * sortParamsStride,
+        usage: GPUBufferUsage.UNIFORM,
+        mappedAtCreation: true
+      });
+      const sortParams = new Uint32Array(sortParamsBuffer.getMappedRange());
+      sortSteps.forEach((step, i) => sortParams.set(step, i * sortParamsStride / 4));
+      sortParamsBuffer.unmap();
+
+      const module = this.device.createShaderModule({ code: LightHierarchySource, label: "Light Hierarchy" });
+      const pipelineLayout = this.device.createPipelineLayout({
+        bindGroupLayouts: [
+          this.bindGroupLayouts.frame, // set 0
+          this.bindGroupLayouts.lightHierarchy, // set 1
+          this.bindGroupLayouts.lightSortParams, // set 2
+        ]
+      });
+      const createPipeline = (entryPoint) => {
+        return this.device.createComputePipeline({ layout: pipelineLayout, compute: { module, entryPoint } });
+      };
+
+      this.lightHierarchy = {
+        buffers: [sortedLightsBuffer, leavesBuffer, rootsBuffer, sortParamsBuffer],
+        sortParamsStride,
+        computeLightKeys: createPipeline('computeLightKeys'),
+        sortLightKeys: createPipeline('sortLightKeys'),
+        buildLeaves: createPipeline('buildLeaves'),
+        buildRoots: createPipeline('buildRoots'),
+        bindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.lightHierarchy,
+          entries: [sortedLightsBuffer, leavesBuffer, rootsBuffer].map((buffer, binding) => ({
+            binding,
+            resource: { buffer },
+          })),
+        }),
+        sortParamsBindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.lightSortParams,
+          entries: [{
+            binding: 0,
+            resource: { buffer: sortParamsBuffer, size: 8 },
+          }],
+        }),
+        clusterBindGroup: this.device.createBindGroup({
+          layout: this.bindGroupLayouts.clusterLightHierarchy,
+          entries: [this.clusterBuffer, sortedLightsBuffer, leavesBuffer, rootsBuffer].map((buffer, binding) => ({
+            binding,
+            resource: { buffer },
+          })),
+        }),
+      };
+    }
+    return this.lightHierarchy;
+  }
+
+  destroyLightHierarchy() {
+    if (!this.lightHierarchy) {
+      return;
+    }
+    for (const buffer of this.lightHierarchy.buffers) {
+      buffer.destroy();
+    }
+    this.lightHierarchy = null;
+  }
+
+  // Sorts the lights that are currently in use and builds the hierarchy over them.
+  computeLightHierarchy(commandEncoder) {
+    const lightHierarchy = this.getLightHierarchy();
+    const size = getLightHierarchySize(this.lightManager.lightCount);
+    const sortStepCount = getBitonicSortSteps(size.sortCount).length;
+
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setBindGroup(BIND_GROUP.Frame, this.bindGroups.frame);
+    passEncoder.setBindGroup(1, lightHierarchy.bindGroup);
+    passEncoder.setPipeline(lightHierarchy.computeLightKeys);
+    passEncoder.dispatchWorkgroups(getLightHierarchyDispatchSize(size.sortCount));
+
+    passEncoder.setPipeline(lightHierarchy.sortLightKeys);
+    for (let i = 0; i < sortStepCount; ++i) {
+      passEncoder.setBindGroup(2, lightHierarchy.sortParamsBindGroup, [i * lightHierarchy.sortParamsStride]);
+      passEncoder.dispatchWorkgroups(getLightHierarchyDispatchSize(size.sortCount));
+    }
+
+    passEncoder.setPipeline(lightHierarchy.buildLeaves);
+    passEncoder.dispatchWorkgroups(getLightHierarchyDispatchSize(size.leafCount));
+    passEncoder.setPipeline(lightHierarchy.buildRoots);
+    passEncoder.dispatchWorkgroups(getLightHierarchyDispatchSize(size.rootCount));
+    passEncoder.end();
+  }
+
+  // Builds the per-cluster light lists in three steps: count the lights affecting each cluster, prefix sum the counts
+  // to get each cluster's offset into the light index list, then write out the indices. When culling empty clusters
+  // the first and last steps only visit the active clusters. If nothing they depend on has changed since the last time
+  // the previous lists are left as they are.
+  computeClusterLights(commandEncoder) {
+    if (!this.clusterLightsPipelines) {
+      if (this.scanBlockSumsBuffer) {
+        this.scanBlockSumsBuffer.destroy();
+      }
+      this.createClusterLightsPipelines();
+    }
+    const pipelines = this.clusterLightsPipelines;
+    const clusterConfig = this.clusterConfig;
+
+    const cullClusters = this.activeClusterCulling && !!this.primitives;
+    if (!this.clusterLightsNeedUpdate(cullClusters)) {
+      this.skippedClusterRebuilds++;
+      this.reportReusedClusterStats();
+      return false;
+    }
+    const clusterLightsSource = {
+      lightVersion: this.lightManager.version,
+      viewVersion: this.viewVersion,
+      cullClusters,
+    };
+
+    if (cullClusters) {
+      this.markActiveClusters(commandEncoder);
+    }
+
+    let clusterBindGroup = this.bindGroups.cluster;
+    if (this.lightHierarchyCulling) {
+      this.computeLightHierarchy(commandEncoder);
+      clusterBindGroup = this.lightHierarchy.clusterBindGroup;
+    }
+
+    this.device.queue.writeBuffer(this.clusterOverflowBuffer, 0, emptyOverflowHeader);
+
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setBindGroup(BIND_GROUP.Frame, this.bindGroups.frame);
+
+    passEncoder.setBindGroup(1, clusterBindGroup);
+    if (cullClusters) {
+      passEncoder.setBindGroup(2, this.activeClusters.listBindGroup);
+      passEncoder.setPipeline(pipelines.countActiveLights);
+      passEncoder.dispatchWorkgroupsIndirect(this.activeClusters.dispatchArgsBuffer, 0);
+    } else {
+      passEncoder.setPipeline(pipelines.countLights);
+      passEncoder.dispatchWorkgroups(...clusterConfig.dispatchSize);
+    }
+
+    passEncoder.setBindGroup(1, pipelines.scanBindGroup);
+    passEncoder.setPipeline(pipelines.scanBlocks);
+    passEncoder.dispatchWorkgroups(clusterConfig.scanBlockCount);
+    passEncoder.setPipeline(pipelines.scanBlockSums);
+    passEncoder.dispatchWorkgroups(1);
+    passEncoder.setPipeline(pipelines.addBlockOffsets);
+    passEncoder.dispatchWorkgroups(clusterConfig.scanBlockCount);
+
+    passEncoder.setBindGroup(1, clusterBindGroup);
+    if (cullClusters) {
+      passEncoder.setPipeline(pipelines.assignActiveLights);
+      passEncoder.dispatchWorkgroupsIndirect(this.activeClusters.dispatchArgsBuffer, 0);
+    } else {
+      passEncoder.setPipeline(pipelines.assignLights);
+      passEncoder.dispatchWorkgroups(...clusterConfig.dispatchSize);
+    }
     passEncoder.end();
+
+    // Grab the light index count and overflow counters so the index list can be grown if needed.
+    if (!this.clusterStatsPending) {
+      commandEncoder.copyBufferToBuffer(this.clusterLightsBuffer, 0, this.clusterStatsBuffer, 0, 4);
+      if (cullClusters) {
+        commandEncoder.copyBufferToBuffer(this.activeClusters.listBuffer, 0,
+            this.clusterStatsBuffer, CLUSTER_STATS_ACTIVE_OFFSET, 4);
+      }
+      commandEncoder.copyBufferToBuffer(this.clusterOverflowBuffer, 0,
+          this.clusterStatsBuffer, CLUSTER_STATS_OVERFLOW_OFFSET, CLUSTER_OVERFLOW_HEADER_SIZE);
+      this.clusterStatsPending = true;
+      this.clusterStatsCulled = cullClusters;
+      // Recorded straight away, so these lists may be reused before their stats have been read back. If the stats then
+      // show that some lights didn't fit, growLightIndexList recreates the buffers, which forces a rebuild.
+      this.clusterLightsSource = clusterLightsSource;
+      return true;
+    }
+    // Lists whose stats were never copied can't be checked for lights that didn't fit, so they aren't reused.
+    this.clusterLightsSource = null;
+    return false;
+  }
+
+  // The light lists depend on the cluster bounds, the lights and the view matrix. With active cluster culling they also
+  // depend on the depth prepass, and so on anything that moves the geometry: node transforms (including skin joints)
+  // and morph target weights.
+  clusterLightsNeedUpdate(cullClusters) {
+    const source = this.clusterLightsSource;
+    return !source ||
+           source.lightVersion != this.lightManager.version ||
+           source.viewVersion != this.viewVersion ||
+           source.cullClusters != cullClusters ||
+           (cullClusters && (this.transformsChanged || this.morphWeightsChanged));
+  }
+
+  // Nothing is read back while the light lists are being reused, but the last stats still hold. Only the count of
+  // skipped rebuilds needs updating.
+  reportReusedClusterStats() {
+    if (!this.lastClusterStats || this.frameCount < this.nextClusterStatsReport) {
+      return;
+    }
+    this.nextClusterStatsReport = this.frameCount + CLUSTER_STATS_INTERVAL;
+    const detail = Object.assign({}, this.lastClusterStats, { skippedRebuilds: this.skippedClusterRebuilds });
+    this.dispatchEvent(new CustomEvent('clusterlightstats', { detail }));
+  }
+
+  // Handles the stats copied by computeClusterLights once they're available, growing the light index list if it was
+  // too small and periodically dispatching a 'clusterlightstats' event. Must be called after the command buffer
+  // containing the copy has been submitted.
+  async readClusterStats(reportStats) {
+    const clusterConfig = this.clusterConfig;
+    const lightIndexCapacity = this.lightIndexCapacity;
+    let detail;
+    try {
+      await this.clusterStatsBuffer.mapAsync(GPUMapMode.READ);
+      const stats = new Uint32Array(this.clusterStatsBuffer.getMappedRange());
+      const overflow = stats.subarray(CLUSTER_STATS_OVERFLOW_OFFSET / 4);
+      detail = {
+        overflowingClusters: overflow[0],
+        maxLightsRequested: overflow[1],
+        lightIndexCount: stats[0],
+        lightIndexCapacity,
+        activeClusters: this.clusterStatsCulled ? stats[CLUSTER_STATS_ACTIVE_OFFSET / 4] : clusterConfig.totalTiles,
+        totalClusters: clusterConfig.totalTiles,
+        skippedRebuilds: this.skippedClusterRebuilds,
+      };
+      this.clusterStatsBuffer.unmap();
+    } finally {
+      this.clusterStatsPending = false;
+    }
+
+    // Ignore the results if the buffers were rebuilt while waiting on them.
+    if (clusterConfig == this.clusterConfig && lightIndexCapacity == this.lightIndexCapacity &&
+        detail.lightIndexCount > lightIndexCapacity) {
+      this.growLightIndexList(detail.lightIndexCount);
+    }
+
+    this.lastClusterStats = detail;
+    if (reportStats) {
+      this.dispatchEvent(new CustomEvent('clusterlightstats', { detail }));
+    }
+  }
+
+  growLightIndexList(lightIndexCount) {
+    const clusterConfig = this.clusterConfig;
+    const maxCapacity = Math.floor(
+        (this.device.limits.maxStorageBufferBindingSize - clusterConfig.clusterLightsHeaderSize) / 4);
+    const capacity = Math.min(Math.ceil(lightIndexCount * LIGHT_INDEX_GROWTH_FACTOR), maxCapacity);
+    if (capacity <= this.lightIndexCapacity) {
+      return; // Already as big as it can get.
+    }
+    if (capacity < lightIndexCount) {
+      console.warn(`Light index list can't hold the ${lightIndexCount} indices needed. Some lights will be dropped.`);
+    }
+
+    this.lightIndexCapacity = capacity;
+    this.clusterLightsBuffer.destroy();
+    this.clusterOverflowBuffer.destroy();
+    this.createClusterLightsBuffers();
+    // The render bundles hold on to the old frame bind group.
+    this.outputRenderBundles = {};
+    this.depthPrepassBundle = null;
+    this.gBufferBundle = null;
+  }
+
+  // Reads back the cluster bounds and light lists, along with the uniforms they were built from, and compares them
+  // against the CPU reference in cluster-reference.js. The light lists are whatever the last clustered output built,
+  // so one of those should be selected. Returns the differences, along with a message summarizing them.
+  async verifyClusters() {
+    if (this.activeClusterCulling) {
+      return { message: 'Cluster verification does not support active cluster culling.' };
+    }
+    // Full clusters keep the first lights they find, which the hierarchy visits in Morton order rather than the index
+    // order the reference uses.
+    if (this.lightHierarchyCulling && this.clusterConfig.maxLightsPerCluster > 0 && !this.importanceLightSelection) {
+      return { message: 'Cluster verification does not support light hierarchy culling with a per-cluster light ' +
+                        'limit, unless importance selection is on.' };
+    }
+    if (!this.clusterBuffer) {
+      return { message: 'No clusters to verify yet. Render one of the clustered outputs first.' };
+    }
+
+    const clusterConfig = this.clusterConfig;
+    const lightIndexCapacity = this.lightIndexCapacity;
+    const sources = [
+      [this.projectionBuffer, ProjectionUniformsSize],
+      [this.viewBuffer, ViewUniformsSize],
+      [this.lightsBuffer, this.lightManager.uniformArray.byteLength],
+      [this.clusterBuffer, clusterConfig.clusterBoundsSize],
+      [this.clusterLightsBuffer, clusterConfig.getClusterLightsSize(lightIndexCapacity)],
+    ];
+
+    const commandEncoder = this.device.createCommandEncoder({});
+    const readBuffers = sources.map(([buffer, size]) => {
+      const readBuffer = this.device.createBuffer({
+        size,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+      });
+      commandEncoder.copyBufferToBuffer(buffer, 0, readBuffer, 0, size);
+      return readBuffer;
+    });
+    this.device.queue.submit([commandEncoder.finish()]);
+
+    try {
+      await Promise.all(readBuffers.map((buffer) => buffer.mapAsync(GPUMapMode.READ)));
+      const [projectionArray, viewArray, lightArray, gpuBounds] =
+          readBuffers.slice(0, 4).map((buffer) => new Float32Array(buffer.getMappedRange()));
+      const gpuClusterLights = new Uint32Array(readBuffers[4].getMappedRange());
+
+      const bounds = computeClusterBounds(clusterConfig, parseProjectionUniforms(projectionArray));
+      const clusterLights = computeClusterLights(clusterConfig, bounds, viewArray.subarray(0, 16), lightArray,
+                                                 lightIndexCapacity, this.importanceLightSelection);
+
+      const result = {
+        boundsMismatches: diffClusterBounds(bounds, gpuBounds),
+        ...diffClusterLights(clusterLights, gpuClusterLights, clusterConfig.totalTiles),
+      };
+      result.message = `${result.boundsMismatches.length} of ${clusterConfig.totalTiles} cluster bounds differ, ` +
+                       `${result.mismatchedClusters.length} light lists differ, index count ` +
+                       `${result.actualIndexCount} (expected ${result.expectedIndexCount}).`;
+      return result;
+    } finally {
+      for (const buffer of readBuffers) {
+        buffer.destroy();
+      }
+    }
   }
 
   onFrame(timestamp) {
@@ -623,7 +2160,18 @@ export class WebGPURenderer extends Renderer {
     this.device.queue.writeBuffer(this.viewBuffer, 0, this.frameUniforms.buffer, ProjectionUniformsSize, ViewUniformsSize);
 
     // Update the light unform buffer with the latest values as well.
-    this.device.queue.writeBuffer(this.lightsBuffer, 0, this.lightManager.uniformArray);
+    this.device.queue.writeBuffer(this.lightsBuffer, 0, this.lightManager.uniformArray, 0,
+                                  this.lightManager.uniformFloatCount);
+
+    if (this.primitives) {
+      if (this.transformsChanged) {
+        this.updateModelBuffers();
+      }
+      this.updateMorphWeights();
+    }
+
+    // Skinned meshes need their joint matrices re-uploaded every frame.
+    this.updateSkins();
 
     // Create a render bundle for the requested output type if one doesn't already exist.
     let renderBundle = this.outputRenderBundles[this.outputType];
@@ -635,10 +2183,31 @@ export class WebGPURenderer extends Renderer {
 
     const commandEncoder = this.device.createCommandEncoder({});
 
+    this.renderShadowMap(commandEncoder);
+
+    let readClusterStats = false;
     switch (this.outputType) {
       case "lights-per-cluster":
+      case "cluster-overflow":
       case "clustered-forward":
-        this.computeClusterLights(commandEncoder);
+        readClusterStats = this.computeClusterLights(commandEncoder);
+        break;
+      case "tiled-forward":
+        if (this.primitives) {
+          this.computeTileLights(commandEncoder);
+        }
+        break;
+      case "clustered-bitmask":
+        this.computeClusterMasks(commandEncoder, false);
+        break;
+      case "clustered-zbin":
+        this.computeClusterMasks(commandEncoder, true);
+        break;
+      case "clustered-deferred":
+        readClusterStats = this.computeClusterLights(commandEncoder);
+        if (this.primitives) {
+          this.renderGBuffer(commandEncoder);
+        }
         break;
     }
 
@@ -658,5 +2227,14 @@ export class WebGPURenderer extends Renderer {
 
     passEncoder.end();
     this.device.queue.submit([commandEncoder.finish()]);
+
+    if (readClusterStats) {
+      // Reads can stay in flight for a few frames, so report on the first one that starts after the interval is up.
+      const reportStats = this.frameCount >= this.nextClusterStatsReport;
+      if (reportStats) {
+        this.nextClusterStatsReport = this.frameCount + CLUSTER_STATS_INTERVAL;
+      }
+      this.readClusterStats(reportStats).catch((err) => console.warn('Failed to read cluster stats', err));
+    }
   }
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+// Web Worker that decodes KHR_draco_mesh_compression primitives. Each attribute is unpacked into the component type
+// of the accessor that references it, so the results can be used as ordinary vertex and index buffers.
+
+importScripts('../third-party/draco/draco_wasm_wrapper_gltf.js');
+
+const DRACO_DECODER_PATH = '../third-party/draco/';
+
+const DRACO_MODULE = new Promise((resolve, reject) => {
+  // The Emscripten module is thenable but isn't a "real" promise, so it's wrapped in one. It also has to be wrapped in
+  // an object, otherwise resolve() would try to chain onto it.
+  DracoDecoderModule({
+    locateFile: (path) => `${DRACO_DECODER_PATH}${path}`,
+    onModuleLoaded: (draco) => resolve({ draco }),
+    // Called if the WASM fails to load or initialize, in which case onModuleLoaded never is.
+    onAbort: (reason) => reject(new Error(`Draco decoder failed to load: ${reason}`)),
+  });
+});
+
+// Uses WebGL enums for the keys, to match glTF's componentType.
+const COMPONENT_TYPES = {
+  5120: { TypedArray: Int8Array, dracoType: 'DT_INT8' }, // BYTE
+  5121: { TypedArray: Uint8Array, dracoType: 'DT_UINT8' }, // UNSIGNED_BYTE
+  5122: { TypedArray: Int16Array, dracoType: 'DT_INT16' }, // SHORT
+  5123: { TypedArray: Uint16Array, dracoType: 'DT_UINT16' }, // UNSIGNED_SHORT
+  5125: { TypedArray: Uint32Array, dracoType: 'DT_UINT32' }, // UNSIGNED_INT
+  5126: { TypedArray: Float32Array, dracoType: 'DT_FLOAT32' }, // FLOAT
+};
+
+function decodeIndices(draco, decoder, mesh, componentType) {
+  const indexCount = mesh.num_faces() * 3;
+  const TypedArray = componentType == 5125 ? Uint32Array : Uint16Array;
+  const byteLength = indexCount * TypedArray.BYTES_PER_ELEMENT;
+
+  const ptr = draco._malloc(byteLength);
+  try {
+    if (TypedArray == Uint32Array) {
+      decoder.GetTrianglesUInt32Array(mesh, byteLength, ptr);
+    } else {
+      decoder.GetTrianglesUInt16Array(mesh, byteLength, ptr);
+    }
+    return new TypedArray(draco.HEAPU8.buffer, ptr, indexCount).slice().buffer;
+  } finally {
+    draco._free(ptr);
+  }
+}
+
+function decodeAttribute(draco, decoder, mesh, attributeInfo) {
+  const { uniqueId, componentType, componentCount, byteStride } = attributeInfo;
+  const { TypedArray, dracoType } = COMPONENT_TYPES[componentType];
+
+  const attribute = decoder.GetAttributeByUniqueId(mesh, uniqueId);
+  if (!attribute || attribute.ptr === 0) {
+    throw new Error(`Draco attribute ${uniqueId} not found`);
+  }
+
+  const vertexCount = mesh.num_points();
+  const valueCount = vertexCount * componentCount;
+  const byteLength = valueCount * TypedArray.BYTES_PER_ELEMENT;
+
+  const ptr = draco._malloc(byteLength);
+  try {
+    decoder.GetAttributeDataArrayForAllPoints(mesh, attribute, draco[dracoType], byteLength, ptr);
+    const values = new Uint8Array(draco.HEAPU8.buffer, ptr, byteLength);
+
+    // Pad out elements that aren't a multiple of 4 bytes, since vertex attributes have to be aligned.
+    const elementSize = componentCount * TypedArray.BYTES_PER_ELEMENT;
+    if (byteStride == elementSize) {
+      return values.slice().buffer;
+    }
+    const output = new Uint8Array(vertexCount * byteStride);
+    for (let i = 0; i < vertexCount; ++i) {
+      output.set(values.subarray(i * elementSize, (i + 1) * elementSize), i * byteStride);
+    }
+    return output.buffer;
+  } finally {
+    draco._free(ptr);
+  }
+}
+
+onmessage = async (msg) => {
+  const { id, source, attributes, indexComponentType } = msg.data;
+
+  let draco = null;
+  let decoder = null;
+  let mesh = null;
+  try {
+    // Inside the try so that a decoder that failed to load is reported back, rather than leaving the request pending.
+    ({ draco } = await DRACO_MODULE);
+
+    decoder = new draco.Decoder();
+    mesh = new draco.Mesh();
+
+    const sourceArray = new Int8Array(source);
+    if (decoder.GetEncodedGeometryType(sourceArray) != draco.TRIANGULAR_MESH) {
+      throw new Error('Only Draco triangle meshes are supported');
+    }
+
+    const status = decoder.DecodeArrayToMesh(sourceArray, sourceArray.byteLength, mesh);
+    if (!status.ok() || mesh.ptr === 0) {
+      throw new Error(`Draco decoding failed: ${status.error_msg()}`);
+    }
+
+    const result = { attributes: {}, indices: null };
+    const transfer = [];
+
+    for (const name in attributes) {
+      result.attributes[name] = decodeAttribute(draco, decoder, mesh, attributes[name]);
+      transfer.push(result.attributes[name]);
+    }
+
+    if (indexComponentType) {
+      result.indices = decodeIndices(draco, decoder, mesh, indexComponentType);
+      transfer.push(result.indices);
+    }
+
+    postMessage({ id, result }, transfer);
+  } catch (err) {
+    postMessage({ id, error: err.message });
+  } finally {
+    if (mesh) { draco.destroy(mesh); }
+    if (decoder) { draco.destroy(decoder); }
+  }
+};
@@ -0,0 +1,39 @@
+// Copyright 2020 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+// Web Worker that decompresses EXT_meshopt_compression buffer views. The actual decoding is done by meshoptimizer's
+// WASM decoder, this just wraps it in the message protocol that DecoderWorkerPool expects.
+
+importScripts('../third-party/meshoptimizer/meshopt_decoder.js');
+
+onmessage = async (msg) => {
+  const { id, source, count, byteStride, mode, filter } = msg.data;
+
+  try {
+    await MeshoptDecoder.ready;
+
+    const target = new Uint8Array(count * byteStride);
+    MeshoptDecoder.decodeGltfBuffer(target, count, byteStride, new Uint8Array(source), mode, filter);
+
+    postMessage({ id, result: target.buffer }, [target.buffer]);
+  } catch (err) {
+    postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,23 @@
+// The modules under test are written for the browser and touch a few of its globals when they load. This provides
+// just enough of them to import those modules in Node. Import it before anything else.
+
+globalThis.window = globalThis.window || { location: { protocol: 'https:' } };
+
+// Only the enums that glTF files use.
+globalThis.WebGLRenderingContext = globalThis.WebGLRenderingContext || {
+  POINTS: 0,
+  LINES: 1,
+  LINE_STRIP: 3,
+  TRIANGLES: 4,
+  TRIANGLE_STRIP: 5,
+  BYTE: 5120,
+  UNSIGNED_BYTE: 5121,
+  SHORT: 5122,
+  UNSIGNED_SHORT: 5123,
+  UNSIGNED_INT: 5125,
+  FLOAT: 5126,
+  NEAREST: 9728,
+  LINEAR: 9729,
+  REPEAT: 10497,
+  MIRRORED_REPEAT: 33648,
+};
@@ -0,0 +1,184 @@
+// Checks the CPU cluster reference against cluster bounds and light lists worked out by hand, for each depth slicing
+// scheme. Run with: node --test test/*.test.mjs
+
+import './browser-globals.mjs';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mat4 } from '../js/third-party/gl-matrix/dist/esm/index.js';
+import { ClusterConfig } from '../js/webgpu-renderer/shaders/clustered-compute.js';
+import { DepthSlicing } from '../js/webgpu-renderer/cluster-constants.js';
+import { LightManager, LightType, ProjectionMode } from '../js/renderer.js';
+import {
+  parseProjectionUniforms, computeClusterBounds, computeClusterLights, diffClusterBounds
+} from '../js/webgpu-renderer/cluster-reference.js';
+
+// Packs a projection the same way as the ProjectionUniforms buffer, so parseProjectionUniforms gets tested too.
+function createProjection(matrix, outputSize, zNear, zFar, mode) {
+  const projectionArray = new Float32Array(40);
+  projectionArray.set(matrix, 0);
+  mat4.invert(projectionArray.subarray(16, 32), matrix);
+  projectionArray.set(outputSize, 32);
+  projectionArray[34] = zNear;
+  projectionArray[35] = zFar;
+  new Uint32Array(projectionArray.buffer)[36] = mode;
+  return parseProjectionUniforms(projectionArray);
+}
+
+// 90 degree square frustum, so a tile covering the whole screen spans -depth to depth in x and y at every depth.
+function createPerspective(zNear, zFar) {
+  const matrix = mat4.perspectiveZO(mat4.create(), Math.PI / 2, 1, zNear, zFar);
+  return createProjection(matrix, [64, 64], zNear, zFar, ProjectionMode.Perspective);
+}
+
+// Builds the expected bounds for a single column of clusters covering the whole perspective frustum above, from the
+// depth of each slice boundary.
+function perspectiveColumnBounds(sliceDepths) {
+  const bounds = new Float32Array((sliceDepths.length - 1) * 8);
+  for (let z = 0; z < sliceDepths.length - 1; ++z) {
+    const near = sliceDepths[z];
+    const far = sliceDepths[z + 1];
+    bounds.set([-far, -far, -far, 0, far, far, -near, 0], z * 8);
+  }
+  return bounds;
+}
+
+function assertBounds(expected, actual) {
+  assert.equal(actual.length, expected.length);
+  assert.deepEqual(diffClusterBounds(expected, actual), [],
+                   `expected ${Array.from(expected)}, got ${Array.from(actual)}`);
+}
+
+// Reads the light indices of one cluster out of a ClusterLightGroup array.
+function getClusterLightIndices(clusterLights, config, tileIndex) {
+  const offset = clusterLights[1 + tileIndex * 2];
+  const count = clusterLights[1 + tileIndex * 2 + 1];
+  const indexStart = 1 + config.totalTiles * 2;
+  return Array.from(clusterLights.subarray(indexStart + offset, indexStart + offset + count));
+}
+
+function getAllClusterLightIndices(clusterLights, config) {
+  const result = [];
+  for (let tileIndex = 0; tileIndex < config.totalTiles; ++tileIndex) {
+    result.push(getClusterLightIndices(clusterLights, config, tileIndex));
+  }
+  return result;
+}
+
+// Point lights given as [x, y, z, range, brightness] in view space, which is also world space with an identity view.
+function createLights(lights) {
+  const lightManager = new LightManager(lights.length);
+  lights.forEach(([x, y, z, range, brightness = 1], i) => {
+    const light = lightManager.lights[i];
+    light.position.set([x, y, z]);
+    light.range = range;
+    light.color.set([brightness, brightness, brightness]);
+    light.type = LightType.Point;
+  });
+  return lightManager;
+}
+
+test('logarithmic slices double in depth from zNear to zFar', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Logarithmic });
+  const bounds = computeClusterBounds(config, createPerspective(1, 16));
+  assertBounds(perspectiveColumnBounds([1, 2, 4, 8, 16]), bounds);
+});
+
+test('linear slices are all the same depth', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Linear });
+  const bounds = computeClusterBounds(config, createPerspective(1, 9));
+  assertBounds(perspectiveColumnBounds([1, 3, 5, 7, 9]), bounds);
+});
+
+test('hybrid slices have a near slab followed by logarithmic slices', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Hybrid, nearSlabDepth: 4 });
+  const bounds = computeClusterBounds(config, createPerspective(1, 32));
+  assertBounds(perspectiveColumnBounds([1, 4, 8, 16, 32]), bounds);
+});
+
+test('orthographic projections always use linear slices', () => {
+  const config = new ClusterConfig({ tileCount: [2, 1, 4], depthSlicing: DepthSlicing.Logarithmic });
+  const matrix = mat4.ortho(mat4.create(), -3, 3, -2, 2, 1, 9);
+  const bounds = computeClusterBounds(config, createProjection(matrix, [64, 32], 1, 9, ProjectionMode.Orthographic));
+
+  const expected = new Float32Array(config.totalTiles * 8);
+  const sliceDepths = [1, 3, 5, 7, 9];
+  for (let z = 0; z < 4; ++z) {
+    const near = sliceDepths[z];
+    const far = sliceDepths[z + 1];
+    expected.set([-3, -2, -far, 0, 0, 2, -near, 0], (z * 2) * 8);
+    expected.set([0, -2, -far, 0, 3, 2, -near, 0], (z * 2 + 1) * 8);
+  }
+  assertBounds(expected, bounds);
+});
+
+test('lights are assigned to the slices their range reaches', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Logarithmic });
+  const bounds = computeClusterBounds(config, createPerspective(1, 16));
+  const lightManager = createLights([
+    [0, 0, -3, 0.5], // Inside slice 1 and more than its range from the others.
+    [0, 0, -4, 1], // On the boundary between slices 1 and 2, 4 away from slice 3.
+    [0, 0, -12, 0], // No range, so it doesn't belong in any cluster.
+    [0, 0, -20, 5], // Past zFar, but reaches into slice 3.
+  ]);
+
+  const clusterLights = computeClusterLights(config, bounds, mat4.create(), lightManager.uniformArray, 64);
+  assert.deepEqual(getAllClusterLightIndices(clusterLights, config), [[], [0, 1], [1], [3]]);
+  assert.equal(clusterLights[0], 4);
+});
+
+test('spot lights skip the clusters behind them', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Logarithmic });
+  const bounds = computeClusterBounds(config, createPerspective(1, 16));
+  const lightManager = createLights([[0, 0, -10, 20], [0, 0, -10, 20]]);
+  // Facing away from the camera. The bounding spheres of slices 0 and 1 are entirely behind it.
+  const spotLight = lightManager.lights[1];
+  spotLight.type = LightType.Spot;
+  spotLight.direction.set([0, 0, -1]);
+  spotLight.outerConeAngle = Math.PI / 12;
+
+  const clusterLights = computeClusterLights(config, bounds, mat4.create(), lightManager.uniformArray, 64);
+  assert.deepEqual(getAllClusterLightIndices(clusterLights, config), [[0], [0], [0, 1], [0, 1]]);
+});
+
+test('the view matrix moves lights into view space', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Linear });
+  const bounds = computeClusterBounds(config, createPerspective(1, 9));
+  const lightManager = createLights([[0, 0, 4, 0.5]]);
+  // Camera at z = 10 looking down -z, so the light is 6 in front of it, in the middle of slice 2.
+  const viewMatrix = mat4.fromTranslation(mat4.create(), [0, 0, -10]);
+
+  const clusterLights = computeClusterLights(config, bounds, viewMatrix, lightManager.uniformArray, 64);
+  assert.deepEqual(getAllClusterLightIndices(clusterLights, config), [[], [], [0], []]);
+});
+
+test('maxLightsPerCluster keeps the first lights unless importance selection is on', () => {
+  const config = new ClusterConfig({
+    tileCount: [1, 1, 4],
+    depthSlicing: DepthSlicing.Logarithmic,
+    maxLightsPerCluster: 1,
+  });
+  const bounds = computeClusterBounds(config, createPerspective(1, 16));
+  // Both in slice 1 only. The second is brighter, so it's the more important one.
+  const lightManager = createLights([[0, 0, -3, 0.5, 1], [0, 0, -3, 0.5, 10]]);
+
+  const firstLights = computeClusterLights(config, bounds, mat4.create(), lightManager.uniformArray, 64);
+  assert.deepEqual(getAllClusterLightIndices(firstLights, config), [[], [0], [], []]);
+  // Only the light the cluster has room for is counted.
+  assert.equal(firstLights[0], 1);
+
+  const importantLights = computeClusterLights(config, bounds, mat4.create(), lightManager.uniformArray, 64, true);
+  assert.deepEqual(getAllClusterLightIndices(importantLights, config), [[], [1], [], []]);
+});
+
+test('lights that overflow the index list are dropped', () => {
+  const config = new ClusterConfig({ tileCount: [1, 1, 4], depthSlicing: DepthSlicing.Logarithmic });
+  const bounds = computeClusterBounds(config, createPerspective(1, 16));
+  // Reaches every slice.
+  const lightManager = createLights([[0, 0, -4, 20], [0, 0, -4, 20]]);
+
+  const clusterLights = computeClusterLights(config, bounds, mat4.create(), lightManager.uniformArray, 3);
+  assert.deepEqual(getAllClusterLightIndices(clusterLights, config), [[0, 1], [0], [], []]);
+  // The count still includes the dropped lights, so the list can be grown to fit them.
+  assert.equal(clusterLights[0], 8);
+});
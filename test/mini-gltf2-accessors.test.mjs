@@ -0,0 +1,249 @@
+// Checks that sparse and zero-filled accessors are materialized correctly, by loading small hand-built glTF files.
+// Run with: node --test test/*.test.mjs
+
+import './browser-globals.mjs';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Gltf2Loader } from '../js/mini-gltf2.js';
+
+const FLOAT = 5126;
+const UNSIGNED_BYTE = 5121;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+
+const TYPED_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+const COMPONENT_COUNTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+// Packs the given typed arrays into a single buffer, each one 4 byte aligned. Returns the buffer and the byte offset
+// of each array in it.
+function packBuffer(arrays) {
+  const offsets = [];
+  let byteLength = 0;
+  for (const array of arrays) {
+    offsets.push(byteLength);
+    byteLength += Math.ceil(array.byteLength / 4) * 4;
+  }
+  const bytes = new Uint8Array(byteLength);
+  arrays.forEach((array, i) => bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offsets[i]));
+  return { bytes, offsets };
+}
+
+// Loads a glTF file with a single primitive that uses the given accessor as its TEST attribute, and optionally as a
+// morph target too. The buffer is embedded as a data URI.
+async function loadAccessor(bytes, bufferViews, accessor, options = {}) {
+  const primitive = { attributes: { TEST: 0 } };
+  if (options.asMorphTarget) {
+    primitive.targets = [{ POSITION: 0 }];
+  }
+
+  const json = {
+    asset: { version: '2.0' },
+    buffers: [{
+      uri: `data:application/octet-stream;base64,${Buffer.from(bytes).toString('base64')}`,
+      byteLength: bytes.byteLength,
+    }],
+    bufferViews: bufferViews.map((bufferView) => Object.assign({ buffer: 0 }, bufferView)),
+    accessors: [accessor],
+    meshes: [{ primitives: [primitive] }],
+    nodes: [{ mesh: 0 }],
+    scenes: [{ nodes: [0] }],
+    scene: 0,
+  };
+
+  const gltf = await new Gltf2Loader().loadFromJson(json, '');
+  return gltf.primitives[0];
+}
+
+// Reads the TEST attribute back out of the primitive's decoded buffer, one array of components per element.
+async function readAttribute(primitive, accessor) {
+  const [[bufferView, bufferAttributes]] = primitive.attributeBuffers;
+  const attribute = bufferAttributes.attributes.TEST;
+  const dataView = await bufferView.dataView;
+
+  const TypedArray = TYPED_ARRAYS[attribute.componentType];
+  const elementSize = attribute.componentCount * TypedArray.BYTES_PER_ELEMENT;
+  const byteStride = bufferView.byteStride || elementSize;
+
+  const elements = [];
+  for (let i = 0; i < accessor.count; ++i) {
+    const elementBytes = dataView.buffer.slice(dataView.byteOffset + attribute.byteOffset + i * byteStride,
+                                               dataView.byteOffset + attribute.byteOffset + i * byteStride + elementSize);
+    elements.push(Array.from(new TypedArray(elementBytes)));
+  }
+  return elements;
+}
+
+function sparseIndices(componentType, values) {
+  return new TYPED_ARRAYS[componentType](values);
+}
+
+test('sparse accessor with a bufferView substitutes the sparse elements', async () => {
+  const base = new Float32Array([0, 0, 0, 1, 1, 1, 2, 2, 2, 3, 3, 3]);
+  const indices = new Uint16Array([1, 3]);
+  const values = new Float32Array([10, 11, 12, 30, 31, 32]);
+  const { bytes, offsets } = packBuffer([base, indices, values]);
+
+  const accessor = {
+    bufferView: 0, componentType: FLOAT, type: 'VEC3', count: 4,
+    sparse: {
+      count: 2,
+      indices: { bufferView: 1, componentType: UNSIGNED_SHORT },
+      values: { bufferView: 2 },
+    },
+  };
+  const primitive = await loadAccessor(bytes, [
+    { byteOffset: offsets[0], byteLength: base.byteLength },
+    { byteOffset: offsets[1], byteLength: indices.byteLength },
+    { byteOffset: offsets[2], byteLength: values.byteLength },
+  ], accessor);
+
+  assert.equal(primitive.elementCount, 4);
+  assert.deepEqual(await readAttribute(primitive, accessor), [[0, 0, 0], [10, 11, 12], [2, 2, 2], [30, 31, 32]]);
+});
+
+test('accessor without a bufferView is zero-filled', async () => {
+  const accessor = { componentType: FLOAT, type: 'VEC2', count: 3 };
+  const primitive = await loadAccessor(new Uint8Array(4), [], accessor);
+
+  assert.deepEqual(await readAttribute(primitive, accessor), [[0, 0], [0, 0], [0, 0]]);
+});
+
+test('sparse accessor without a bufferView is zero-filled around the sparse elements', async () => {
+  const indices = new Uint16Array([0, 2]);
+  const values = new Float32Array([5, 6, 7, 8]);
+  const { bytes, offsets } = packBuffer([indices, values]);
+
+  const accessor = {
+    componentType: FLOAT, type: 'VEC2', count: 4,
+    sparse: {
+      count: 2,
+      indices: { bufferView: 0, componentType: UNSIGNED_SHORT },
+      values: { bufferView: 1 },
+    },
+  };
+  const primitive = await loadAccessor(bytes, [
+    { byteOffset: offsets[0], byteLength: indices.byteLength },
+    { byteOffset: offsets[1], byteLength: values.byteLength },
+  ], accessor);
+
+  assert.deepEqual(await readAttribute(primitive, accessor), [[5, 6], [0, 0], [7, 8], [0, 0]]);
+});
+
+for (const [name, componentType] of [['UNSIGNED_BYTE', UNSIGNED_BYTE],
+                                     ['UNSIGNED_SHORT', UNSIGNED_SHORT],
+                                     ['UNSIGNED_INT', UNSIGNED_INT]]) {
+  test(`sparse indices with componentType ${name}`, async () => {
+    // Offset within the bufferView as well, to check that the sparse byteOffsets are honored.
+    const indices = sparseIndices(componentType, [0xff, 4, 1, 0]);
+    const values = new Float32Array([0xff, 4, 1, 9, 9, 9]);
+    const { bytes, offsets } = packBuffer([indices, values]);
+
+    const accessor = {
+      componentType: FLOAT, type: 'SCALAR', count: 6,
+      sparse: {
+        count: 3,
+        indices: { bufferView: 0, byteOffset: indices.BYTES_PER_ELEMENT, componentType },
+        values: { bufferView: 1, byteOffset: 12 },
+      },
+    };
+    const primitive = await loadAccessor(bytes, [
+      { byteOffset: offsets[0], byteLength: indices.byteLength },
+      { byteOffset: offsets[1], byteLength: values.byteLength },
+    ], accessor);
+
+    assert.deepEqual(await readAttribute(primitive, accessor), [[9], [9], [0], [0], [9], [0]]);
+  });
+}
+
+test('sparse accessor keeps normalized integer components, padded to 4 bytes', async () => {
+  const base = new Uint8Array([0, 0, 64, 64, 128, 128]);
+  const indices = new Uint8Array([2]);
+  const values = new Uint8Array([255, 51]);
+  const { bytes, offsets } = packBuffer([base, indices, values]);
+
+  const accessor = {
+    bufferView: 0, componentType: UNSIGNED_BYTE, normalized: true, type: 'VEC2', count: 3,
+    sparse: {
+      count: 1,
+      indices: { bufferView: 1, componentType: UNSIGNED_BYTE },
+      values: { bufferView: 2 },
+    },
+  };
+  const primitive = await loadAccessor(bytes, [
+    { byteOffset: offsets[0], byteLength: base.byteLength },
+    { byteOffset: offsets[1], byteLength: indices.byteLength },
+    { byteOffset: offsets[2], byteLength: values.byteLength },
+  ], accessor);
+
+  const attribute = primitive.getAttribute('TEST');
+  assert.equal(attribute.componentType, UNSIGNED_BYTE);
+  assert.equal(attribute.normalized, true);
+  assert.equal(attribute.gpuFormat, 'unorm8x2');
+
+  const [bufferView] = primitive.attributeBuffers.keys();
+  assert.equal(bufferView.byteStride, 4);
+  assert.deepEqual(await readAttribute(primitive, accessor), [[0, 0], [64, 64], [255, 51]]);
+});
+
+test('sparse normalized accessor used as a morph target is converted to floats', async () => {
+  const base = new Int16Array([0, 16383, -32767, 0]);
+  const indices = new Uint16Array([3]);
+  const values = new Int16Array([32767]);
+  const { bytes, offsets } = packBuffer([base, indices, values]);
+
+  const accessor = {
+    bufferView: 0, componentType: 5122, normalized: true, type: 'SCALAR', count: 4,
+    sparse: {
+      count: 1,
+      indices: { bufferView: 1, componentType: UNSIGNED_SHORT },
+      values: { bufferView: 2 },
+    },
+  };
+  const primitive = await loadAccessor(bytes, [
+    { byteOffset: offsets[0], byteLength: base.byteLength },
+    { byteOffset: offsets[1], byteLength: indices.byteLength },
+    { byteOffset: offsets[2], byteLength: values.byteLength },
+  ], accessor, { asMorphTarget: true });
+
+  const deltas = Array.from(primitive.targets[0].POSITION);
+  assert.deepEqual(deltas.map((value) => Math.round(value * 1000) / 1000), [0, 0.5, -1, 1]);
+});
+
+test('sparse accessor reading from an interleaved bufferView is de-interleaved', async () => {
+  // Two VEC3 attributes interleaved with a 24 byte stride. The accessor reads the second one.
+  const interleaved = new Float32Array([
+    0, 0, 0, 100, 101, 102,
+    0, 0, 0, 110, 111, 112,
+    0, 0, 0, 120, 121, 122,
+  ]);
+  const indices = new Uint32Array([0]);
+  const values = new Float32Array([-1, -2, -3]);
+  const { bytes, offsets } = packBuffer([interleaved, indices, values]);
+
+  const accessor = {
+    bufferView: 0, byteOffset: 12, componentType: FLOAT, type: 'VEC3', count: 3,
+    sparse: {
+      count: 1,
+      indices: { bufferView: 1, componentType: UNSIGNED_INT },
+      values: { bufferView: 2 },
+    },
+  };
+  const primitive = await loadAccessor(bytes, [
+    { byteOffset: offsets[0], byteLength: interleaved.byteLength, byteStride: 24 },
+    { byteOffset: offsets[1], byteLength: indices.byteLength },
+    { byteOffset: offsets[2], byteLength: values.byteLength },
+  ], accessor);
+
+  const [bufferView] = primitive.attributeBuffers.keys();
+  assert.equal(bufferView.byteStride, 0); // Tightly packed
+  assert.deepEqual(await readAttribute(primitive, accessor), [[-1, -2, -3], [110, 111, 112], [120, 121, 122]]);
+});